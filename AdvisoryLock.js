@@ -0,0 +1,70 @@
+/*
+ * Copyright 2015 Shyp, Inc.
+ *
+ * Postgres advisory locks, for making sure only one process works on a given
+ * driver or pickup at a time.
+ *
+ *   DBConnection.begin (err, txn) ->
+ *     txn.tryAdvisoryLock 'pickup:' + pickupId, (err, locked) ->
+ *       return txn.rollback(cb) unless locked
+ *       ... # Only this transaction holds the lock until it commits or rolls back
+ *
+ * A DBTransaction takes transaction-level locks (pg_advisory_xact_lock),
+ * which Postgres releases when the transaction ends. A DBConnection takes
+ * session-level locks (pg_advisory_lock), which are held until they're
+ * unlocked with advisoryUnlock, or until the connection is released: a
+ * connection holding session locks runs pg_advisory_unlock_all() before it
+ * goes back to the pool, and is disposed if that fails.
+ *
+ * Keys are integers, or strings. Strings are hashed to a 64-bit lock id, the
+ * same way in every process, so 'driver:usr_123' always means the same lock.
+ */
+var crypto = require('crypto');
+
+var Metrics = require('./Metrics');
+
+var MIN_ID = -(BigInt(2) ** BigInt(63));
+var MAX_ID = BigInt(2) ** BigInt(63) - BigInt(1);
+
+/*
+ * lockId returns the 64-bit lock id for key, as a decimal string. Integer
+ * keys (numbers or BigInts) are used as they are; string keys are hashed.
+ * Throws for anything else.
+ */
+exports.lockId = function(key) {
+  if (typeof key === 'string') {
+    return crypto.createHash('sha1').update(key, 'utf8').digest().readBigInt64BE(0).toString();
+  }
+  if (typeof key === 'number' && Number.isSafeInteger(key)) {
+    return String(key);
+  }
+  if (typeof key === 'bigint' && key >= MIN_ID && key <= MAX_ID) {
+    return key.toString();
+  }
+  throw new Error("AdvisoryLock: lock key must be a string or a 64-bit integer, got " + String(key));
+};
+
+/*
+ * run calls the advisory lock function fn (say, 'pg_try_advisory_xact_lock')
+ * for key on target, a DBConnection or DBTransaction, and hits the callback
+ * with the function's result. Waits for blocking locks are timed in
+ * db.advisory_lock.wait.
+ */
+exports.run = function(target, fn, key, cb) {
+  var id;
+  try {
+    id = exports.lockId(key);
+  } catch (e) {
+    return cb(e);
+  }
+  var start = Date.now();
+  target.query('SELECT ' + fn + '($1::bigint) AS result', [id], function(err, res) {
+    if (err) {
+      return cb(err);
+    }
+    if (fn === 'pg_advisory_lock' || fn === 'pg_advisory_xact_lock') {
+      Metrics.timing('db.advisory_lock.wait', start, {scope: fn === 'pg_advisory_lock' ? 'session' : 'transaction'});
+    }
+    return cb(null, res.rows[0].result);
+  });
+};
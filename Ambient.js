@@ -0,0 +1,133 @@
+/*
+ * Copyright 2015 Shyp, Inc.
+ *
+ * Ambient transactions. Data access functions that each call
+ * DBConnection.get run on connections of their own, outside any transaction
+ * their caller has open, unless the transaction is passed all the way down.
+ * With ambient transactions turned on:
+ *
+ *   DBConnection.useAmbientTransactions(true)
+ *
+ *   DBConnection.transaction config, (txn) ->
+ *     # Both of these run inside txn, without being passed it
+ *     Pickups.assign(pickupId, driverId)
+ *     Drivers.markBusy(driverId)
+ *
+ * code running inside DBConnection.transaction's function - including
+ * callbacks and promises it starts - that calls DBConnection.get or begin
+ * with the same pool gets the transaction's connection instead of a new
+ * one, through a SharedConnection (see SharedConnection.js): begin starts a
+ * savepoint, and a plain connection's statements each run in a savepoint of
+ * their own, so a nested failure doesn't abort the outer transaction. The
+ * nested transaction's mode is ignored, and nested DBConnection.transaction
+ * calls don't retry - only the outermost transaction can.
+ *
+ * The context is tracked with AsyncLocalStorage, and callbacks are bound to
+ * it with AsyncResource.bind, which need Node 12.19, or 14.8 and later. They
+ * aren't touched until ambient transactions are turned on, so on older
+ * versions everything else still works, and turning them on throws. Once the
+ * transaction has
+ * been committed or rolled back, get and begin use the pool again, even from
+ * code that started inside it. Transactions started with
+ * DBConnection.begin, rather than transaction, aren't ambient.
+ *
+ * DBConnection.inTransaction() tells you whether code is running inside an
+ * ambient transaction; DBConnection.currentTransaction() returns it.
+ */
+var asyncHooks = require('async_hooks');
+
+var DBTransaction = require('./DBTransaction');
+var SharedConnection = require('./SharedConnection');
+
+// Created the first time ambient transactions are turned on.
+var storage = null;
+var enabled = false;
+
+/*
+ * enable turns ambient transactions on or off. Throws if this version of
+ * Node can't track them.
+ */
+exports.enable = function(on) {
+  if (on === true && storage === null) {
+    if (typeof asyncHooks.AsyncLocalStorage !== 'function' ||
+        typeof asyncHooks.AsyncResource.bind !== 'function') {
+      throw new Error("Ambient: ambient transactions need AsyncLocalStorage and " +
+        "AsyncResource.bind, from Node 12.19 or 14.8 and later; this is Node " + process.version);
+    }
+    storage = new asyncHooks.AsyncLocalStorage();
+  }
+  enabled = on === true;
+};
+
+/*
+ * run calls fn inside an ambient context for txn, from pool. If ambient
+ * transactions are off, it just calls fn.
+ *
+ * From here on txn's own statements go through the SharedConnection's
+ * queue as well, so one sent while a nested statement is running waits for
+ * that statement's savepoint to be released or rolled back, instead of
+ * running inside it. Once txn is committed or rolled back, connections and
+ * transactions handed out inside it are released and failed, so they can't
+ * reach the real client after it's gone back to the pool.
+ */
+exports.run = function(txn, pool, fn) {
+  if (!enabled) {
+    return fn();
+  }
+  var shared = new SharedConnection.SharedConnection(txn.conn.client);
+  txn.conn.client = shared.outer();
+  // COMMIT and ROLLBACK close the SharedConnection; so does losing the
+  // connection some other way, like a failed query.
+  var releaseFn = txn.conn.releaseFn;
+  txn.conn.releaseFn = function(dispose) {
+    shared.close();
+    releaseFn(dispose);
+  };
+  var context = {
+    txn: txn,
+    pool: pool,
+    shared: shared,
+  };
+  return storage.run(context, fn);
+};
+
+/*
+ * current returns the ambient transaction, or null if there isn't one or
+ * it's finished.
+ */
+exports.current = function() {
+  if (!enabled) {
+    return null;
+  }
+  var context = storage.getStore();
+  if (typeof context === 'undefined' || context.txn.state !== DBTransaction.ACTIVE) {
+    return null;
+  }
+  return context.txn;
+};
+
+/*
+ * source returns the SharedConnection to check out from for pool, or null
+ * if connections for pool should come from somewhere else.
+ */
+exports.source = function(pool) {
+  if (exports.current() === null) {
+    return null;
+  }
+  var context = storage.getStore();
+  if (context.pool !== pool) {
+    return null;
+  }
+  return context.shared;
+};
+
+/*
+ * bind returns cb bound to the current ambient context, so callbacks that
+ * node-postgres calls from its socket's events still see it.
+ */
+exports.bind = function(cb) {
+  if (!enabled || typeof cb !== 'function' || typeof storage.getStore() === 'undefined') {
+    return cb;
+  }
+  return asyncHooks.AsyncResource.bind(cb);
+};
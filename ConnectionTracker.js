@@ -0,0 +1,194 @@
+/*
+ * Copyright 2015 Shyp, Inc.
+ *
+ * Keeps track of every connection that's been checked out with
+ * DBConnection.get (or begin) and not yet released, and optionally detects
+ * leaked ones - connections or transactions that callers forgot to release,
+ * commit or roll back.
+ *
+ * Turn on leak detection with DBConnection.detectLeaks:
+ *
+ *   DBConnection.detectLeaks({warnAfter: 30000, reapAfter: 300000})
+ *
+ * While it's on, the call stack where each connection was checked out is
+ * recorded, so you can find the code that leaked it. A connection that's been
+ * checked out for longer than warnAfter milliseconds is logged and counted in
+ * the db.txn_conn_pool.leak metric (once). If reapAfter is set, a connection
+ * that's been checked out longer than that is forcibly closed - its
+ * transaction, if it has one, is rolled back - and counted in
+ * db.txn_conn_pool.leak.reaped.
+ *
+ * DBConnection.checkedOut() lists the connections that are currently checked
+ * out, with their age and (if leak detection is on) acquisition stack.
+ */
+var Metrics = require('./Metrics');
+
+var DEFAULT_CHECK_INTERVAL = 5000;
+
+// How long to wait for the ROLLBACK when reaping a transaction, before
+// disposing the connection anyway.
+var REAP_ROLLBACK_TIMEOUT = 1000;
+
+var checkedOut = {};
+var nextId = 1;
+
+// Leak detection settings, or null if it's turned off.
+var settings = null;
+var timer = null;
+
+/*
+ * captureStack returns the current call stack if leak detection is on, and
+ * null otherwise. Call it synchronously from the function the caller called,
+ * before any callbacks, or the caller's frames will be lost.
+ */
+exports.captureStack = function() {
+  if (settings === null) {
+    return null;
+  }
+  var stack = new Error().stack;
+  // Drop the "Error" line and this function's frame.
+  return stack.split('\n').slice(2).join('\n');
+};
+
+/*
+ * track records that conn has been checked out.
+ */
+exports.track = function(conn, stack) {
+  var id = nextId++;
+  conn._trackingId = id;
+  checkedOut[id] = {
+    id: id,
+    conn: conn,
+    acquiredAt: Date.now(),
+    stack: stack || null,
+    warned: false,
+  };
+};
+
+/*
+ * untrack records that conn has been released.
+ */
+exports.untrack = function(conn) {
+  delete checkedOut[conn._trackingId];
+};
+
+/*
+ * list returns the connections that are currently checked out, oldest first.
+ * Each entry has id, age (in milliseconds), acquiredAt, inTransaction,
+ * stack (null unless leak detection was on when it was checked out) and conn.
+ */
+exports.list = function() {
+  var now = Date.now();
+  return Object.keys(checkedOut).map(function(id) {
+    var entry = checkedOut[id];
+    return {
+      id: entry.id,
+      age: now - entry.acquiredAt,
+      acquiredAt: new Date(entry.acquiredAt),
+      inTransaction: isTransaction(entry.conn),
+      stack: entry.stack,
+      conn: entry.conn,
+    };
+  }).sort(function(a, b) {
+    return b.age - a.age;
+  });
+};
+
+/*
+ * configure turns on leak detection with the given options, or turns it off
+ * if opts is null or false. Options:
+ *
+ * - warnAfter: log and count connections checked out for longer than this
+ *   many milliseconds. Required.
+ * - reapAfter: close connections checked out for longer than this many
+ *   milliseconds. Optional; connections are never closed if it's not set.
+ * - checkInterval: how often to look for leaks, in milliseconds. Defaults to
+ *   5 seconds.
+ * - logger: an object with a warn method. Defaults to console.
+ */
+exports.configure = function(opts) {
+  if (timer !== null) {
+    clearInterval(timer);
+    timer = null;
+  }
+  if (opts === null || typeof opts === "undefined" || opts === false) {
+    settings = null;
+    return;
+  }
+  if (!(opts.warnAfter > 0)) {
+    throw new Error("ConnectionTracker: warnAfter must be a positive number of milliseconds");
+  }
+  if (opts.reapAfter !== null && typeof opts.reapAfter !== "undefined" && !(opts.reapAfter >= opts.warnAfter)) {
+    throw new Error("ConnectionTracker: reapAfter must be at least warnAfter");
+  }
+  settings = {
+    warnAfter: opts.warnAfter,
+    reapAfter: opts.reapAfter || null,
+    checkInterval: opts.checkInterval || DEFAULT_CHECK_INTERVAL,
+    logger: opts.logger || console,
+  };
+  timer = setInterval(function() {
+    exports._check(Date.now());
+  }, settings.checkInterval);
+  // Don't hold the process open just to look for leaks.
+  timer.unref();
+};
+
+/*
+ * _check looks for leaked connections as of `now`. It's run on an interval
+ * while leak detection is on.
+ */
+exports._check = function(now) {
+  if (settings === null) {
+    return;
+  }
+  Object.keys(checkedOut).forEach(function(id) {
+    var entry = checkedOut[id];
+    var age = now - entry.acquiredAt;
+    var kind = isTransaction(entry.conn) ? 'transaction' : 'connection';
+    if (settings.reapAfter !== null && age >= settings.reapAfter) {
+      settings.logger.warn("DBConnection: Closing leaked " + kind + ", checked out " + age + "ms ago at\n" + formatStack(entry));
+      Metrics.increment('db.txn_conn_pool.leak.reaped', {kind: kind});
+      reap(entry);
+      return;
+    }
+    if (!entry.warned && age >= settings.warnAfter) {
+      entry.warned = true;
+      settings.logger.warn("DBConnection: Possible leaked " + kind + ", checked out " + age + "ms ago at\n" + formatStack(entry));
+      Metrics.increment('db.txn_conn_pool.leak', {kind: kind});
+    }
+  });
+};
+
+var isTransaction = function(conn) {
+  return conn._txn !== null && typeof conn._txn !== "undefined";
+};
+
+var formatStack = function(entry) {
+  return entry.stack || "    (stack not recorded; leak detection was off when it was checked out)";
+};
+
+var reap = function(entry) {
+  exports.forceClose(entry.conn, function() {});
+};
+
+/*
+ * forceClose closes a connection that's still checked out, rolling back its
+ * transaction if it has one, and hits the callback once it's done. Disposing
+ * the connection would roll back its transaction on the server anyway, but
+ * try to do it politely first, through the transaction, so it ends up rolled
+ * back and its afterRollback hooks run.
+ */
+exports.forceClose = function(conn, cb) {
+  exports.untrack(conn);
+  if (!isTransaction(conn)) {
+    conn.release(true);
+    return cb();
+  }
+  conn._txn._rollback(REAP_ROLLBACK_TIMEOUT, function() {
+    // A ROLLBACK that fails or times out releases the connection itself;
+    // either way, make sure it doesn't go back to the pool.
+    conn.release(true);
+    return cb();
+  });
+};
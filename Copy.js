@@ -0,0 +1,403 @@
+/*
+ * Copyright 2015 Shyp, Inc.
+ *
+ * Loading and dumping lots of rows. Inserting rows one query at a time takes
+ * a round trip per row; COPY streams them all in one statement:
+ *
+ *   txn.copyFrom 'pickups', ['id', 'driver_id', 'state'], rows, (err, rowCount) ->
+ *
+ * rows is an array of rows - arrays of values in column order, or objects
+ * keyed by column - or a readable stream. An object mode stream is read as
+ * rows; any other stream is sent as it is, so it must already be CSV.
+ * Values are converted the same way query converts parameters, and written
+ * as CSV, so commas, quotes and newlines in strings are safe; null is NULL.
+ *
+ * copyTo returns a readable stream of CSV lines (as Buffers):
+ *
+ *   txn.copyTo('SELECT id, state FROM pickups').pipe(file)
+ *
+ * It takes a query to dump, or a whole COPY ... TO STDOUT statement. COPY
+ * can't take parameters, so a sql query with values is rejected; filter
+ * with a temporary table or a view instead. The stream ends once Postgres
+ * has finished, and its rowCount is set then.
+ *
+ * If COPY fails, or the stream you're copying from fails, the connection is
+ * released and disposed of (aborting the COPY), and a transaction fails, just
+ * as when a query fails. copyTo reports every error, including copying from
+ * a released connection or a finished transaction, as an 'error' event on
+ * the stream. COPY doesn't have a timeout.
+ *
+ * Like queries, COPY statements are seen by query hooks (see
+ * Instrumentation.js), and callbacks and stream events run inside the
+ * caller's ambient transaction (see Ambient.js).
+ *
+ * For rows that need INSERT - to fire rules, or use ON CONFLICT - bulkInsert
+ * sends multi-row INSERTs, as many rows at a time as fit in Postgres' limit
+ * of 65535 parameters (or options.batchSize rows). On a plain connection
+ * each batch commits on its own; use a transaction for all or nothing.
+ *
+ * Rows copied and inserted are measured in db.copy.from.rows,
+ * db.copy.to.rows and db.bulk_insert.rows; failures are counted in
+ * db.copy.from.error, db.copy.to.error and db.bulk_insert.error.
+ *
+ * COPY needs the pg-copy-streams module.
+ */
+var copyStreams = require('pg-copy-streams');
+var stream = require('stream');
+var util = require('util');
+
+var Ambient = require('./Ambient');
+var Errors = require('./Errors');
+var Instrumentation = require('./Instrumentation');
+var Metrics = require('./Metrics');
+var Promises = require('./Promises');
+var Sql = require('./Sql');
+
+// Postgres rejects statements with more parameters than this.
+var MAX_PARAMETERS = 65535;
+
+// Rows per write when copying from an array, so each write isn't tiny.
+var ROWS_PER_WRITE = 500;
+
+var COPY = /^\s*COPY\b/i;
+
+/*
+ * textValue returns value as the text Postgres reads it from, the way
+ * node-postgres converts query parameters: buffers as bytea hex, dates as
+ * ISO 8601, arrays as array literals, objects with a toPostgres method as
+ * what it returns, and other objects as JSON. Returns null for NULL.
+ */
+var textValue = function(value, seen) {
+  if (value === null || typeof value === "undefined") {
+    return null;
+  }
+  if (value instanceof Buffer) {
+    return '\\x' + value.toString('hex');
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (Array.isArray(value)) {
+    return arrayLiteral(value);
+  }
+  if (typeof value === 'object') {
+    if (typeof value.toPostgres !== 'function') {
+      return JSON.stringify(value);
+    }
+    seen = seen || [];
+    if (seen.indexOf(value) !== -1) {
+      throw new Error("Copy: Circular reference in toPostgres for " + String(value));
+    }
+    seen.push(value);
+    return textValue(value.toPostgres(textValue), seen);
+  }
+  return String(value);
+};
+
+/*
+ * arrayLiteral returns values as a Postgres array literal, like {"a",NULL}.
+ */
+var arrayLiteral = function(values) {
+  return '{' + values.map(function(value) {
+    if (Array.isArray(value)) {
+      return arrayLiteral(value);
+    }
+    var text = textValue(value);
+    if (text === null) {
+      return 'NULL';
+    }
+    return '"' + text.replace(/\\/g, '\\\\').replace(/"/g, '\\"') + '"';
+  }).join(',') + '}';
+};
+
+/*
+ * encodeValue returns value as a CSV field: empty for NULL, and otherwise
+ * quoted, so an empty string isn't read as NULL.
+ */
+exports.encodeValue = function(value) {
+  var text = textValue(value);
+  if (text === null) {
+    return '';
+  }
+  return '"' + text.replace(/"/g, '""') + '"';
+};
+
+/*
+ * encodeRow returns values as a line of CSV.
+ */
+exports.encodeRow = function(values) {
+  return values.map(exports.encodeValue).join(',') + '\n';
+};
+
+/*
+ * rowValues returns row's values in column order. row is an array, or an
+ * object keyed by column. Throws for rows of the wrong shape, and for
+ * undefined values (use null for NULL).
+ */
+var rowValues = function(row, columns, i) {
+  var values;
+  if (Array.isArray(row)) {
+    if (row.length !== columns.length) {
+      throw new Error("Copy: Row " + i + " has " + row.length + " values, but there are " +
+        columns.length + " columns");
+    }
+    values = row;
+  } else if (row !== null && typeof row === 'object') {
+    values = columns.map(function(column) {
+      return row[column];
+    });
+  } else {
+    throw new Error("Copy: Row " + i + " should be an array or an object, got " + String(row));
+  }
+  for (var j = 0; j < values.length; j++) {
+    if (typeof values[j] === 'undefined') {
+      throw new Error("Copy: Row " + i + " has no value for column " + columns[j] + "; use null for NULL");
+    }
+  }
+  return values;
+};
+
+var tableName = function(table) {
+  return Sql.identifier.apply(null, Array.isArray(table) ? table : [table]);
+};
+
+var columnList = function(columns) {
+  if (!Array.isArray(columns) || columns.length === 0) {
+    throw new Error("Copy: columns should be a non-empty array of column names");
+  }
+  return Sql.join(columns.map(function(column) {
+    return Sql.identifier(column);
+  }));
+};
+
+/*
+ * Submit copy, a pg-copy-streams query, on conn. node-postgres doesn't call
+ * a callback for these, so cb is hit when Postgres is ready for the next
+ * query, or when the COPY fails - in which case the connection's released
+ * and disposed, like a query that fails. Returns the function that hits cb,
+ * to fail the COPY from outside.
+ */
+var submit = function(conn, copy, cb) {
+  var finished = false;
+  var instrumented = Instrumentation.start(conn, copy.text, []);
+  var finish = function(err) {
+    if (finished) {
+      return;
+    }
+    finished = true;
+    if (err) {
+      err = Errors.wrap(err, copy.text);
+      Instrumentation.finish(instrumented, err);
+      conn._error = err;
+      conn.release(true);
+      return cb(err);
+    }
+    Instrumentation.finish(instrumented, null, {rowCount: copy.rowCount});
+    return cb(null, copy.rowCount);
+  };
+  // pg-copy-streams emits errors from the stream; we report them to cb.
+  copy.handleError = function(err) {
+    finish(err);
+  };
+  var handleReadyForQuery = copy.handleReadyForQuery;
+  copy.handleReadyForQuery = function() {
+    handleReadyForQuery.apply(copy, arguments);
+    finish(null);
+  };
+  copy.on('error', finish);
+  conn.client.query(copy);
+  return finish;
+};
+
+/*
+ * EncodeStream turns rows into lines of CSV.
+ */
+var EncodeStream = function(columns) {
+  stream.Transform.call(this, {writableObjectMode: true});
+  this._columns = columns;
+  this._count = 0;
+};
+
+util.inherits(EncodeStream, stream.Transform);
+
+EncodeStream.prototype._transform = function(row, encoding, cb) {
+  var line;
+  try {
+    line = exports.encodeRow(rowValues(row, this._columns, this._count));
+  } catch (e) {
+    return cb(e);
+  }
+  this._count++;
+  cb(null, line);
+};
+
+/*
+ * from copies rows (an array or a readable stream; see the top of this file)
+ * into columns of table on conn, and hits the callback with the number of
+ * rows copied. table is a name, or [schema, name]. Returns a Promise if no
+ * callback is given.
+ */
+exports.from = function(conn, table, columns, rows, cb) {
+  cb = Ambient.bind(cb);
+  return Promises.fromCallback(cb, function(cb) {
+    var text;
+    var lines = null;
+    try {
+      text = 'COPY ' + tableName(table).text + ' (' + columnList(columns).text + ') FROM STDIN WITH (FORMAT csv)';
+      if (Array.isArray(rows)) {
+        lines = rows.map(function(row, i) {
+          return exports.encodeRow(rowValues(row, columns, i));
+        });
+      } else if (rows === null || typeof rows !== 'object' || typeof rows.pipe !== 'function') {
+        throw new Error("Copy: rows should be an array or a readable stream");
+      }
+    } catch (e) {
+      return cb(e);
+    }
+    if (conn._released) {
+      return cb(new Errors.InvalidStateError("DBConnection: Can't copy on a connection that has already been released"));
+    }
+    var tags = {pool: conn.pool};
+    var copy = copyStreams.from(text);
+    var fail = submit(conn, copy, function(err, rowCount) {
+      if (err) {
+        Metrics.increment('db.copy.from.error', tags);
+        return cb(err);
+      }
+      Metrics.measure('db.copy.from.rows', rowCount, tags);
+      return cb(null, rowCount);
+    });
+    if (lines !== null) {
+      for (var i = 0; i < lines.length; i += ROWS_PER_WRITE) {
+        copy.write(lines.slice(i, i + ROWS_PER_WRITE).join(''));
+      }
+      return copy.end();
+    }
+    var source = rows;
+    if (rows.readableObjectMode === true) {
+      var encoder = new EncodeStream(columns);
+      encoder.on('error', fail);
+      source = rows.pipe(encoder);
+    }
+    rows.on('error', fail);
+    source.pipe(copy);
+  });
+};
+
+/*
+ * to returns a readable stream of the CSV lines COPY sends for sql on conn;
+ * see the top of this file.
+ */
+exports.to = function(conn, sql) {
+  var text;
+  try {
+    if (Sql.isQuery(sql)) {
+      if (sql.values.length > 0) {
+        throw new Error("Copy: COPY can't take parameters, so copyTo can't run a sql query with values");
+      }
+      sql = sql.text;
+    }
+    if (typeof sql !== 'string') {
+      throw new Error("Copy: copyTo needs a query or a COPY statement");
+    }
+    text = COPY.test(sql) ? sql : 'COPY (' + sql + ') TO STDOUT WITH (FORMAT csv)';
+  } catch (e) {
+    return exports.failedStream(e);
+  }
+  if (conn._released) {
+    return exports.failedStream(new Errors.InvalidStateError("DBConnection: Can't copy on a connection that has already been released"));
+  }
+  var out = new stream.PassThrough();
+  var tags = {pool: conn.pool};
+  var copy = copyStreams.to(text);
+  // The last rows can still be on their way through the pipe when Postgres
+  // says it's done, so wait for both before ending.
+  var copied = false;
+  var done = false;
+  var maybeEnd = function() {
+    if (copied && done) {
+      out.end();
+    }
+  };
+  copy.on('end', function() {
+    copied = true;
+    maybeEnd();
+  });
+  copy.pipe(out, {end: false});
+  submit(conn, copy, Ambient.bind(function(err, rowCount) {
+    if (err) {
+      copy.unpipe(out);
+      Metrics.increment('db.copy.to.error', tags);
+      return out.emit('error', err);
+    }
+    Metrics.measure('db.copy.to.rows', rowCount, tags);
+    out.rowCount = rowCount;
+    done = true;
+    maybeEnd();
+  }));
+  return out;
+};
+
+/*
+ * failedStream returns a stream like the one copyTo returns, that fails with
+ * err as soon as someone can be listening.
+ */
+exports.failedStream = function(err) {
+  var out = new stream.PassThrough();
+  process.nextTick(Ambient.bind(function() {
+    out.emit('error', err);
+  }));
+  return out;
+};
+
+/*
+ * insert inserts rows (an array) into columns of table with multi-row
+ * INSERTs run with target.query, and hits the callback with the number of
+ * rows inserted. options.batchSize limits the rows per INSERT. Returns a
+ * Promise if no callback is given.
+ */
+exports.insert = function(target, table, columns, rows, options, cb) {
+  if (typeof options === 'function') {
+    cb = options;
+    options = {};
+  }
+  options = options || {};
+  cb = Ambient.bind(cb);
+  return Promises.fromCallback(cb, function(cb) {
+    var prefix;
+    var values;
+    try {
+      if (!Array.isArray(rows)) {
+        throw new Error("Copy: rows should be an array");
+      }
+      prefix = Sql.sql`INSERT INTO ${tableName(table)} (${columnList(columns)}) VALUES `;
+      values = rows.map(function(row, i) {
+        return rowValues(row, columns, i).map(Sql.param);
+      });
+    } catch (e) {
+      return cb(e);
+    }
+    var batchSize = Math.floor(MAX_PARAMETERS / columns.length);
+    if (options.batchSize > 0 && options.batchSize < batchSize) {
+      batchSize = options.batchSize;
+    }
+    var tags = {pool: target.conn ? target.conn.pool : target.pool};
+    var inserted = 0;
+    var runNext = function(start) {
+      if (start >= values.length) {
+        Metrics.measure('db.bulk_insert.rows', inserted, tags);
+        return cb(null, inserted);
+      }
+      var batch = values.slice(start, start + batchSize);
+      target.query(Sql.sql`${prefix}${batch}`, function(err, result) {
+        if (err) {
+          Metrics.increment('db.bulk_insert.error', tags);
+          return cb(err);
+        }
+        inserted += result.rowCount;
+        runNext(start + batchSize);
+      });
+    };
+    runNext(0);
+  });
+};
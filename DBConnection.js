@@ -27,52 +27,241 @@
  * `commit`, or `rollback`.
  *
  * This library is callback-based because the underlying library relies heavily
- * on it. If you need a Promise based interface, wrap the calling functions in
- * Promise.promisify calls.
+ * on it. If you leave off the callback, `get`, `begin` and `query` return a
+ * Promise instead, so they can be used with async/await:
+ *
+ *   var conn = await DBConnection.get(config);
+ *   var result = await conn.query('SELECT foo FROM bar');
+ *   conn.release();
  */
 var DBConnection;
 
 var pg = require('pg');
 
+var AdvisoryLock = require('./AdvisoryLock.js');
+var Ambient = require('./Ambient.js');
+var ConnectionTracker = require('./ConnectionTracker.js');
+var Copy = require('./Copy.js');
+var DBCursor = require('./DBCursor.js');
 var DBTransaction = require('./DBTransaction.js');
+var Errors = require('./Errors.js');
+var Instrumentation = require('./Instrumentation.js');
+var Listener = require('./Listener.js');
 var Metrics = require('./Metrics.js');
+var Pools = require('./Pools.js');
+var Promises = require('./Promises.js');
+var ReplicaSets = require('./ReplicaSets.js');
+var Retry = require('./Retry.js');
+var Settings = require('./Settings.js');
+var SharedConnection = require('./SharedConnection.js');
+var Sql = require('./Sql.js');
+var TransactionMode = require('./TransactionMode.js');
 
-var DEFAULT_CONNECTION_POOL_SIZE = 100;
-
-module.exports = DBConnection = function(client, releaseFn) {
+/*
+ * config is the configuration the client was connected with; it's used to
+ * send cancel requests for queries that time out. pool is the name of the
+ * pool the client came from.
+ */
+module.exports = DBConnection = function(client, releaseFn, config, pool) {
   this.client = client;
   this.releaseFn = releaseFn;
+  this.config = config;
+  this.pool = pool || 'default';
+  this.queryTimeout = null;
+  this.state = DBConnection.ACTIVE;
   this._released = false;
+  this._error = null;
+  this._txn = null;
+  // The number of session-level advisory locks taken through this
+  // connection and not yet unlocked.
+  this._advisoryLocks = 0;
+  // Session settings applied with get's settings option, which are reset
+  // before the connection goes back to the pool, or null.
+  this._settings = null;
+  // On a shared connection, the query that puts back the outer
+  // transaction's values for get's settings option, or null.
+  this._restoreSettings = null;
+  // True if the connection shares an outer transaction (see
+  // SharedConnection.js).
+  this._shared = false;
 };
 
+DBConnection.ACTIVE = 'active';
+DBConnection.RELEASED = 'released';
+
+var DEFAULT_SHUTDOWN_TIMEOUT = 30 * 1000;
+var DEFAULT_HEALTH_CHECK_TIMEOUT = 5 * 1000;
+var SHUTDOWN_POLL_INTERVAL = 50;
+
+// Set once shutdown has been called: the callbacks waiting for it to finish,
+// and its result once it has.
+var shutdown = null;
+
 /*
  * Get a new database connection. Will hit the callback with (err,
- * DBConnection). Extensive documentation for the parameters can be found
- * here: https://github.com/brianc/node-postgres/wiki/pg#method-connect
+ * DBConnection). config is either the name of a pool defined with
+ * definePool, or a node-postgres config or connection string. Extensive documentation for the
+ * parameters can be found here:
+ * https://github.com/brianc/node-postgres/wiki/pg#method-connect
  *
  * The caller is responsible for releasing the connection by calling
  * release(true) when they are finished with the query. Otherwise it will stay
  * open for up to 30 seconds.
  *
  * NB: This will block if all connections in the pool are checked out! If
- * latency is important, consider setting a timeout and canceling the query.
- * More discussion here: https://github.com/brianc/node-postgres/issues/805
- */
-DBConnection.get = function(config, cb) {
-  DBConnection._setPoolSize();
-  var start = Date.now();
-  pg.connect(config, function(err, client, release) {
-    if (err !== null && typeof err !== "undefined") {
-      return cb(err);
+ * latency is important, set an acquireTimeout. More discussion here:
+ * https://github.com/brianc/node-postgres/issues/805
+ *
+ * options is optional, and accepts:
+ *
+ * - acquireTimeout: fail with an Errors.AcquireTimeoutError if no connection
+ *   comes free within this many milliseconds.
+ * - queryTimeout: the default timeout, in milliseconds, for every query on
+ *   the connection; see query.
+ * - readOnly: true if the connection will only be used for reads. If config
+ *   is the name of a replica set, the connection comes from one of its
+ *   replicas; see ReplicaSets.js.
+ * - settings: an object of settings, like {statement_timeout: 5000}, to set
+ *   for the session; they're reset when the connection is released. On a
+ *   connection that shares an outer transaction, they're set for that
+ *   transaction and put back when the connection is released. See
+ *   Settings.js.
+ *
+ * After DBConnection.shutdown has been called, fails with an
+ * Errors.ShuttingDownError.
+ *
+ * If no callback is given, returns a Promise for the DBConnection.
+ */
+DBConnection.get = function(config, options, cb) {
+  if (typeof options === 'function') {
+    cb = options;
+    options = {};
+  }
+  options = options || {};
+  var stack = ConnectionTracker.captureStack();
+  return Promises.fromCallback(cb, function(cb) {
+    if (shutdown !== null) {
+      return cb(new Errors.ShuttingDownError());
     }
+    var pool;
+    var source;
+    var settings;
     try {
-      var poolUtilization = DBConnection._getPoolUtilization();
-      Metrics.measure('db.txn_conn_pool.count', poolUtilization);
-    } catch (e) {}
-    Metrics.measure('db.txn_conn_pool.total', pg.defaults.poolSize);
-    Metrics.increment('db.txn_conn_pool.get');
-    Metrics.timing('db.txn_conn_pool.get.latency', start);
-    cb(err, new DBConnection(client, release));
+      settings = Settings.parse(options.settings);
+      pool = Pools.resolve(config);
+      // An ambient transaction (see Ambient.js), or a test running
+      // everything through one connection (see Testing.js).
+      source = Ambient.source(pool.name) || SharedConnection.current();
+      if (source === null) {
+        pool = Pools.resolve(ReplicaSets.route(config, options.readOnly));
+      }
+    } catch (e) {
+      return cb(e);
+    }
+    var tags = {pool: pool.name};
+    if (source !== null) {
+      var shared = source.checkout(function(err) {
+        // The outer transaction finished first; there's nothing left to
+        // put back or roll back.
+        sharedConn._restoreSettings = null;
+        sharedConn._error = err;
+        sharedConn.release();
+      });
+      var sharedConn = new DBConnection(shared.client, shared.release, pool.config, pool.name);
+      if (options.queryTimeout > 0) {
+        sharedConn.queryTimeout = options.queryTimeout;
+      }
+      ConnectionTracker.track(sharedConn, stack);
+      if (source instanceof SharedConnection.SharedConnection) {
+        sharedConn._shared = true;
+        return applySharedSettings(sharedConn, settings, cb);
+      }
+      // Something standing in for the pool, like Testing.fake.
+      return applySettings(sharedConn, settings, cb);
+    }
+    var start = Date.now();
+    var timedOut = false;
+    var timer = null;
+    if (options.acquireTimeout > 0) {
+      timer = setTimeout(function() {
+        timedOut = true;
+        Metrics.increment('db.txn_conn_pool.get.timeout', tags);
+        Metrics.timing('db.txn_conn_pool.get.latency', start, tags);
+        cb(new Errors.AcquireTimeoutError(options.acquireTimeout));
+      }, options.acquireTimeout);
+    }
+    pg.connect(pool.config, function(err, client, release) {
+      if (timer !== null) {
+        clearTimeout(timer);
+      }
+      if (timedOut) {
+        // The caller has already given up; nobody's used this connection, so
+        // it can go straight back to the pool.
+        if (err === null || typeof err === "undefined") {
+          release();
+        }
+        return;
+      }
+      if (err !== null && typeof err !== "undefined") {
+        if (ReplicaSets.isReplica(pool.name)) {
+          // Try the next replica, or the primary if there aren't any left.
+          ReplicaSets.eject(pool.name);
+          return DBConnection.get(config, options, cb);
+        }
+        return cb(Errors.wrapConnectionError(err));
+      }
+      measurePool('db.txn_conn_pool', pool);
+      Metrics.increment('db.txn_conn_pool.get', tags);
+      Metrics.timing('db.txn_conn_pool.get.latency', start, tags);
+      var conn = new DBConnection(client, release, pool.config, pool.name);
+      if (options.queryTimeout > 0) {
+        conn.queryTimeout = options.queryTimeout;
+      }
+      ConnectionTracker.track(conn, stack);
+      applySettings(conn, settings, cb);
+    });
+  });
+};
+
+/*
+ * Set the session settings parsed from get's settings option on conn, and
+ * hit the callback with conn. If that fails, the connection is released.
+ */
+var applySettings = function(conn, settings, cb) {
+  if (settings === null) {
+    return cb(null, conn);
+  }
+  conn.query(Settings.setStatement(settings, false), function(err) {
+    if (err) {
+      return cb(err);
+    }
+    conn._settings = settings;
+    return cb(null, conn);
+  });
+};
+
+/*
+ * applySettings for a connection that shares an outer transaction (see
+ * SharedConnection.js), or begin's settings for a transaction on one: there's
+ * no session or transaction of its own to set, so save the outer
+ * transaction's values, then SET LOCAL. release puts them back, after the
+ * transaction's savepoint is released or rolled back.
+ */
+var applySharedSettings = function(conn, settings, cb) {
+  if (settings === null) {
+    return cb(null, conn);
+  }
+  conn.query(Settings.currentStatement(settings), function(err, result) {
+    if (err) {
+      return cb(err);
+    }
+    conn.query(Settings.setStatement(settings, true), function(err) {
+      if (err) {
+        return cb(err);
+      }
+      conn._restoreSettings = Settings.restoreStatement(settings, result.rows[0]);
+      return cb(null, conn);
+    });
   });
 };
 
@@ -85,20 +274,226 @@ DBConnection.get = function(config, cb) {
  * performance. If Postgres returns a syntax error, the client loses the
  * connection, or there's a connection timeout, the connection should
  * automatically be released.
+ *
+ * options is optional, and sets the transaction mode:
+ *
+ * - isolationLevel: 'READ COMMITTED', 'REPEATABLE READ' or 'SERIALIZABLE'
+ * - readOnly: true for READ ONLY, false for READ WRITE
+ * - deferrable: true for DEFERRABLE; only valid for SERIALIZABLE READ ONLY
+ *   transactions
+ *
+ * Options that are left off use the server's defaults. Invalid options are
+ * rejected before a connection is checked out. The mode is available on the
+ * transaction as `txn.mode`.
+ *
+ * options.settings is an object of settings, like {statement_timeout: 5000,
+ * 'app.current_user_id': userId}, that are set with SET LOCAL right after
+ * BEGIN, so they only apply to this transaction; see Settings.js. They're
+ * available on the transaction as `txn.settings`. A transaction that shares
+ * an outer one puts back the outer transaction's values when it commits or
+ * rolls back.
+ *
+ * The acquireTimeout and queryTimeout options for get are accepted too. A
+ * READ ONLY transaction on a replica set runs on one of its replicas.
+ *
+ * If no callback is given, returns a Promise for the DBTransaction.
  */
-DBConnection.begin = function(config, cb) {
-  return DBConnection.get(config, function(err, conn) {
+DBConnection.begin = function(config, options, cb) {
+  if (typeof options === 'function') {
+    cb = options;
+    options = {};
+  }
+  options = options || {};
+  return Promises.fromCallback(cb, function(cb) {
+    var mode;
+    var settings;
+    try {
+      mode = TransactionMode.parse(options);
+      settings = Settings.parse(options.settings);
+    } catch (e) {
+      return cb(e);
+    }
+    var tags = TransactionMode.tags(mode);
+    var connOptions = {
+      acquireTimeout: options.acquireTimeout,
+      queryTimeout: options.queryTimeout,
+      readOnly: mode.readOnly === true,
+    };
+    DBConnection.get(config, connOptions, function(err, conn) {
+      if (err) {
+        return cb(err);
+      }
+      return conn.query(TransactionMode.beginStatement(mode), function(err) {
+        if (err) {
+          Metrics.increment('db.txn.begin.error', tags);
+          return cb(err);
+        }
+        if (settings === null) {
+          Metrics.increment('db.txn.begin.success', tags);
+          return cb(null, new DBTransaction(conn, mode));
+        }
+        var applied = function(err) {
+          if (err) {
+            Metrics.increment('db.txn.begin.error', tags);
+            return cb(err);
+          }
+          Metrics.increment('db.txn.begin.success', tags);
+          return cb(null, new DBTransaction(conn, mode, settings));
+        };
+        if (conn._shared) {
+          // The transaction is a savepoint, and RELEASE SAVEPOINT would keep
+          // the settings for the rest of the outer transaction.
+          return applySharedSettings(conn, settings, applied);
+        }
+        conn.query(Settings.setStatement(settings, true), applied);
+      });
+    });
+  });
+};
+
+/*
+ * Transaction begins a transaction, hands the DBTransaction to fn, and
+ * completes it for you: it commits when fn succeeds, and rolls back when fn
+ * fails or throws. Either way the connection is released. Hits the callback
+ * with fn's result, or with the error that caused the rollback - if the
+ * rollback itself fails, you still get the original error.
+ *
+ * fn can return a value or a Promise:
+ *
+ *   DBConnection.transaction(config, function(txn) {
+ *     return txn.query('UPDATE ...').then(function() {
+ *       return txn.query('UPDATE ...');
+ *     });
+ *   }, function(err, result) { ... });
+ *
+ * or accept a callback as its second argument and hit it with (err, result).
+ * fn should not call commit() or rollback() itself.
+ *
+ * options is optional, and accepts the options for begin (isolationLevel,
+ * readOnly, deferrable, settings...), plus:
+ *
+ * - retry: run the whole transaction again, on a fresh connection, if it
+ *   fails with a serialization failure or deadlock. `true` for the default
+ *   policy, or an object; see Retry.js for the settings. fn must be safe to
+ *   call more than once. Ignored inside an ambient transaction.
+ *
+ * If ambient transactions are on (see useAmbientTransactions), get and
+ * begin calls made while fn is running use this transaction.
+ *
+ * If no callback is given, returns a Promise for fn's result.
+ */
+DBConnection.transaction = function(config, options, fn, cb) {
+  if (typeof options === 'function') {
+    cb = fn;
+    fn = options;
+    options = {};
+  }
+  options = options || {};
+  return Promises.fromCallback(cb, function(cb) {
+    var policy;
+    try {
+      policy = Retry.policy(options.retry);
+    } catch (e) {
+      return cb(e);
+    }
+    if (Ambient.current() !== null) {
+      // This runs in a savepoint; retrying it can't fix the outer transaction.
+      policy = null;
+    }
+    var attempt = 1;
+    var run = function() {
+      runTransaction(config, options, fn, function(err, result) {
+        if (err && policy !== null && Retry.isRetryable(policy, err)) {
+          if (attempt < policy.maxAttempts) {
+            Metrics.increment('db.txn.retry');
+            setTimeout(run, Retry.delay(policy, attempt));
+            attempt++;
+            return;
+          }
+          Metrics.increment('db.txn.retry.exhausted');
+        }
+        return cb(err, result);
+      });
+    };
+    run();
+  });
+};
+
+/*
+ * Make a single attempt at running fn in a transaction.
+ */
+var runTransaction = function(config, options, fn, cb) {
+  DBConnection.begin(config, options, function(err, txn) {
     if (err) {
       return cb(err);
     }
-    return conn.query('BEGIN', function(err) {
+    var finish = function(err, result) {
       if (err) {
-        Metrics.increment('db.txn.begin.error');
-        return cb(err);
+        return abortTransaction(txn, err, cb);
       }
-      Metrics.increment('db.txn.begin.success');
-      return cb(null, new DBTransaction(conn));
+      // If a query failed and fn carried on anyway, this fails with a
+      // TransactionAbortedError.
+      txn.commit(function(err) {
+        if (err) {
+          return cb(err);
+        }
+        return cb(null, result);
+      });
+    };
+    Ambient.run(txn, txn.conn.pool, function() {
+      callTransactionFn(txn, fn, finish);
+    });
+  });
+};
+
+/*
+ * Call fn with the transaction and hit cb exactly once with its outcome,
+ * whether fn returns a value, returns a Promise, uses its callback or throws.
+ */
+var callTransactionFn = function(txn, fn, cb) {
+  var called = false;
+  var done = function(err, result) {
+    if (called) {
+      return;
+    }
+    called = true;
+    if (err === null || typeof err === "undefined") {
+      return cb(null, result);
+    }
+    return cb(err);
+  };
+  var ret;
+  try {
+    if (fn.length >= 2) {
+      return fn(txn, done);
+    }
+    ret = fn(txn);
+  } catch (e) {
+    return done(e || new Error('DBConnection: transaction function threw ' + e));
+  }
+  if (ret !== null && typeof ret === "object" && typeof ret.then === 'function') {
+    return ret.then(function(result) {
+      done(null, result);
+    }, function(e) {
+      done(e || new Error('DBConnection: transaction function rejected with ' + e));
     });
+  }
+  return done(null, ret);
+};
+
+/*
+ * Roll back txn after fn failed with err, then hit cb with err. If a query
+ * failed, the transaction has already failed and the rollback doesn't need to
+ * talk to the database.
+ */
+var abortTransaction = function(txn, err, cb) {
+  if (txn.state !== DBTransaction.ACTIVE && txn.state !== DBTransaction.FAILED) {
+    return cb(err);
+  }
+  txn.rollback(function() {
+    // The rollback error (if any) is counted in db.txn.rollback.error; the
+    // caller cares about the error that caused the rollback.
+    return cb(err);
   });
 };
 
@@ -112,67 +507,820 @@ DBConnection.begin = function(config, cb) {
  * (sql, cb): A SQL command to execute and a callback to hit
  * (sql, values, cb): A SQL command to execute, an array of values to
  *   interpolate into the query (parameters), and a callback to hit.
+ *
+ * sql can also be a query built with the sql template tag in Sql.js, which
+ * carries its own values, or a node-postgres query config object, like
+ * {text: 'SELECT $1::int', values: [1]}. Set `timeout` on a config object to
+ * override the connection's queryTimeout for a single query.
+ *
+ * Errors from Postgres or the connection are wrapped in one of the
+ * DatabaseError classes in Errors.js.
+ *
+ * If the query runs longer than its timeout, it's canceled on the server, the
+ * connection is disposed, and the callback gets an Errors.QueryTimeoutError.
+ *
+ * Either callback may be left off, in which case query returns a Promise for
+ * the result.
  */
 DBConnection.prototype.query = function(sql, values, cb) {
-  if (cb === null || typeof cb === "undefined") {
+  return this._query(sql, values, cb, true);
+};
+
+/*
+ * _query is query with control over what happens to the connection when the
+ * query fails. Savepoints pass releaseOnError=false, so that a failed
+ * statement can be rolled back to the savepoint without losing the rest of
+ * the transaction.
+ */
+DBConnection.prototype._query = function(sql, values, cb, releaseOnError) {
+  if (typeof values === 'function') {
     cb = values;
     values = [];
   }
+  var timeout = this.queryTimeout;
+  if (Sql.isQuery(sql)) {
+    if (Array.isArray(values) && values.length > 0) {
+      return Promises.fromCallback(cb, function(cb) {
+        cb(new Error("DBConnection: A sql query carries its own values; interpolate them instead of passing them separately"));
+      });
+    }
+    values = sql.values;
+    // node-postgres sets the callback on config objects, so don't hand it
+    // ours, which can be used more than once.
+    sql = sql.text;
+  } else if (sql !== null && typeof sql === 'object') {
+    if (sql.timeout > 0) {
+      timeout = sql.timeout;
+    }
+    // node-postgres overwrites the config's values with the values argument
+    // if it's set.
+    values = sql.values || values;
+  }
+  if (values === null || typeof values === "undefined") {
+    values = [];
+  }
+  cb = Ambient.bind(cb);
   var that = this;
-  this.client.query(sql, values, function(err, res) {
-    if (err) {
-      that.release(true);
-      return cb(err);
+  return Promises.fromCallback(cb, function(cb) {
+    if (that.state === DBConnection.RELEASED) {
+      return cb(new Errors.InvalidStateError("DBConnection: Can't query a connection that has already been released"));
     }
-    return cb(null, res);
+    var timedOut = false;
+    var timer = null;
+    var instrumented = Instrumentation.start(that, sql, values);
+    var query = that.client.query(sql, values, function(err, res) {
+      if (timer !== null) {
+        clearTimeout(timer);
+      }
+      if (timedOut) {
+        if (!releaseOnError) {
+          // The connection's still usable, so we waited for the cancellation
+          // to go through before reporting the timeout.
+          err = new Errors.QueryTimeoutError(timeout, sql);
+          Instrumentation.finish(instrumented, err);
+          return cb(err);
+        }
+        return;
+      }
+      if (err) {
+        err = Errors.wrap(err, sql);
+        Instrumentation.finish(instrumented, err);
+        if (releaseOnError) {
+          that._error = err;
+          that.release(true);
+        }
+        return cb(err);
+      }
+      Instrumentation.finish(instrumented, null, res);
+      return cb(null, res);
+    });
+    if (timeout > 0) {
+      timer = setTimeout(function() {
+        timedOut = true;
+        Metrics.increment('db.query.timeout');
+        that._cancel(query);
+        if (releaseOnError) {
+          // Don't wait for the query to come back - if the connection is
+          // hung, it never will.
+          that._error = new Errors.QueryTimeoutError(timeout, sql);
+          Instrumentation.finish(instrumented, that._error);
+          that.release(true);
+          cb(that._error);
+        }
+      }, timeout);
+    }
+  });
+};
+
+/*
+ * Cursor returns a DBCursor that reads the results of sql in batches, as a
+ * readable stream, an async iterator, or with cursor.fetch(cb). values and
+ * options are optional; options.batchSize sets the number of rows fetched at
+ * a time. See DBCursor.js.
+ */
+DBConnection.prototype.cursor = function(sql, values, options) {
+  if (values !== null && typeof values === 'object' && !Array.isArray(values)) {
+    options = values;
+    values = [];
+  }
+  options = options || {};
+  return new DBCursor(this, sql, values, {
+    batchSize: options.batchSize,
+    inTransaction: this._txn !== null,
+  });
+};
+
+/*
+ * copyFrom loads rows - an array of rows, or a readable stream - into
+ * columns of table with COPY, and hits the callback with the number of rows
+ * copied. See Copy.js. If the COPY fails, the connection is released, as
+ * with query. Returns a Promise if no callback is given.
+ */
+DBConnection.prototype.copyFrom = function(table, columns, rows, cb) {
+  return Copy.from(this, table, columns, rows, cb);
+};
+
+/*
+ * copyTo returns a readable stream of the rows of sql (a query, or a COPY
+ * ... TO STDOUT statement), as lines of CSV. See Copy.js.
+ */
+DBConnection.prototype.copyTo = function(sql) {
+  return Copy.to(this, sql);
+};
+
+/*
+ * bulkInsert inserts rows (an array) into columns of table with as few
+ * multi-row INSERTs as fit under Postgres' parameter limit, and hits the
+ * callback with the number of rows inserted. Each INSERT commits on its own
+ * unless the connection's in a transaction. options.batchSize limits the
+ * rows per INSERT. Returns a Promise if no callback is given.
+ */
+DBConnection.prototype.bulkInsert = function(table, columns, rows, options, cb) {
+  return Copy.insert(this, table, columns, rows, options, cb);
+};
+
+/*
+ * advisoryLock takes the session-level advisory lock for key (a string or an
+ * integer; see AdvisoryLock.js), waiting until it's free. The lock is held
+ * until advisoryUnlock is called with the same key, or the connection is
+ * released. Returns a Promise if no callback is given.
+ */
+DBConnection.prototype.advisoryLock = function(key, cb) {
+  var that = this;
+  return Promises.fromCallback(cb, function(cb) {
+    AdvisoryLock.run(that, 'pg_advisory_lock', key, function(err) {
+      if (err) {
+        return cb(err);
+      }
+      that._advisoryLocks++;
+      return cb(null);
+    });
   });
 };
 
+/*
+ * tryAdvisoryLock takes the session-level advisory lock for key if it's
+ * free, and hits the callback with true if it got the lock, or false if
+ * someone else holds it.
+ */
+DBConnection.prototype.tryAdvisoryLock = function(key, cb) {
+  var that = this;
+  return Promises.fromCallback(cb, function(cb) {
+    AdvisoryLock.run(that, 'pg_try_advisory_lock', key, function(err, locked) {
+      if (err) {
+        return cb(err);
+      }
+      if (locked) {
+        that._advisoryLocks++;
+      }
+      return cb(null, locked);
+    });
+  });
+};
+
+/*
+ * advisoryUnlock releases a session-level advisory lock taken with
+ * advisoryLock or tryAdvisoryLock, and hits the callback with false if this
+ * connection didn't hold it. Session locks stack: a lock taken twice needs
+ * to be unlocked twice.
+ */
+DBConnection.prototype.advisoryUnlock = function(key, cb) {
+  var that = this;
+  return Promises.fromCallback(cb, function(cb) {
+    AdvisoryLock.run(that, 'pg_advisory_unlock', key, function(err, unlocked) {
+      if (err) {
+        return cb(err);
+      }
+      if (unlocked && that._advisoryLocks > 0) {
+        that._advisoryLocks--;
+      }
+      return cb(null, unlocked);
+    });
+  });
+};
+
+/*
+ * Ask the server to cancel the given query, using a cancel request on a
+ * separate connection.
+ */
+DBConnection.prototype._cancel = function(query) {
+  try {
+    pg.cancel(this.config, this.client, query);
+  } catch (e) {
+    Metrics.increment('db.query.cancel.error');
+  }
+};
+
 /*
  * Release this connection back to the pool. `dispose=true` will destroy
  * the underlying connection object - it's the safest mode, in case PG is
  * still trying to send back data, but may result in unnecessary connection
  * teardowns/latency.
+ *
+ * If the connection belongs to a transaction that's still active, releasing
+ * it fails the transaction.
+ *
+ * If the connection still holds session-level advisory locks, they're
+ * unlocked before it goes back to the pool; if that fails, the connection
+ * is disposed instead.
  */
 DBConnection.prototype.release = function(dispose) {
-  var poolUtilization;
   if (this._released) {
     return;
   }
-  this.releaseFn(dispose);
+  if (this._restoreSettings !== null) {
+    this._restoreAndRelease(dispose);
+  } else if (!dispose && (this._advisoryLocks > 0 || this._settings !== null)) {
+    this._cleanUpAndRelease();
+  } else {
+    this.releaseFn(dispose);
+  }
   this._released = true;
-  poolUtilization = DBConnection._getPoolUtilization();
-  return Metrics.measure('db.txn_conn_pool.release.count', poolUtilization);
+  this.state = DBConnection.RELEASED;
+  if (this._txn !== null) {
+    this._txn._fail(this._error);
+  }
+  ConnectionTracker.untrack(this);
+  var stats = Pools.stats(this.config);
+  if (stats !== null) {
+    Metrics.measure('db.txn_conn_pool.release.count', stats.checkedOut, {pool: this.pool});
+  }
 };
 
-DBConnection._setPoolSize = function() {
-  return pg.defaults.poolSize = DBConnection._getPoolSize();
+/*
+ * _cleanUpAndRelease unlocks the connection's session advisory locks and
+ * resets its session settings, then gives it back to the pool - or disposes
+ * of it, if either fails, so nothing leaks to the next user.
+ */
+DBConnection.prototype._cleanUpAndRelease = function() {
+  var that = this;
+  var steps = [];
+  if (this._advisoryLocks > 0) {
+    steps.push({sql: 'SELECT pg_advisory_unlock_all()', metric: 'db.advisory_lock.unlock_all.error'});
+  }
+  if (this._settings !== null) {
+    steps.push({sql: Settings.resetStatement(this._settings), metric: 'db.settings.reset.error'});
+  }
+  this._advisoryLocks = 0;
+  this._settings = null;
+  var runNext = function(i) {
+    if (i === steps.length) {
+      return that.releaseFn(false);
+    }
+    that.client.query(steps[i].sql, [], function(err) {
+      if (err) {
+        Metrics.increment(steps[i].metric);
+        return that.releaseFn(true);
+      }
+      runNext(i + 1);
+    });
+  };
+  runNext(0);
 };
 
-DBConnection._getPoolSize = function() {
-  var defaultPoolSize;
-  defaultPoolSize = parseInt(process.env.PGBOUNCER_MAX_CLIENT_CONN, 10);
-  if (defaultPoolSize > 0) {
-    return defaultPoolSize;
-  } else {
-    return DEFAULT_CONNECTION_POOL_SIZE;
+/*
+ * _restoreAndRelease releases a shared connection checked out with settings,
+ * then puts back the outer transaction's values for them. Disposing of a
+ * shared connection doesn't end the outer transaction, so this happens
+ * either way.
+ */
+DBConnection.prototype._restoreAndRelease = function(dispose) {
+  var restore = this._restoreSettings;
+  this._restoreSettings = null;
+  // Queued behind the rollback of anything the connection left open, so
+  // that can't undo it.
+  this.releaseFn(dispose);
+  this.client.query(restore.text, restore.values, function(err) {
+    if (err) {
+      Metrics.increment('db.settings.reset.error');
+    }
+  });
+};
+
+/*
+ * setMetrics sends the library's metrics to impl, an object with measure,
+ * timing and increment methods. Metrics.js has built-in backends for StatsD,
+ * console logging, and recording in memory for tests. Metrics are discarded
+ * until this is called, or if it's called with null.
+ */
+DBConnection.setMetrics = function(impl) {
+  Metrics.setBackend(impl);
+};
+
+/*
+ * setHookLogger logs errors thrown by afterCommit and afterRollback hooks to
+ * logger, an object with an error method, like console. By default they're
+ * only counted in db.txn.hook.error.
+ */
+DBConnection.setHookLogger = function(logger) {
+  DBTransaction.setHookLogger(logger);
+};
+
+/*
+ * detectLeaks turns on detection of connections and transactions that are
+ * never released, committed or rolled back; see ConnectionTracker.js for the
+ * options. Pass null to turn it off.
+ */
+DBConnection.detectLeaks = function(opts) {
+  ConnectionTracker.configure(opts);
+};
+
+/*
+ * checkedOut lists the connections that are currently checked out, oldest
+ * first, with their id, age in milliseconds, acquiredAt, inTransaction and -
+ * if leak detection was on when they were checked out - the stack they were
+ * checked out from.
+ */
+DBConnection.checkedOut = function() {
+  return ConnectionTracker.list().map(function(entry) {
+    return {
+      id: entry.id,
+      age: entry.age,
+      acquiredAt: entry.acquiredAt,
+      inTransaction: entry.inTransaction,
+      stack: entry.stack,
+    };
+  });
+};
+
+/*
+ * stats returns the state of every pool that's been defined or connected to,
+ * sorted by name: an array of objects with
+ *
+ * - pool: the pool's name
+ * - size: the pool's size limit
+ * - total: clients open
+ * - idle: clients open but not checked out
+ * - checkedOut: clients checked out
+ * - waiting: callers waiting for a client
+ * - openTransactions: checked out connections in a transaction
+ * - oldestCheckoutAge: how long the oldest checked out connection has been
+ *   out, in milliseconds, or null if none are
+ */
+DBConnection.stats = function() {
+  var checkedOut = ConnectionTracker.list().map(function(entry) {
+    return {key: JSON.stringify(entry.conn.config), entry: entry};
+  });
+  return Pools.list().map(function(pool) {
+    var key = JSON.stringify(pool.config);
+    var conns = checkedOut.filter(function(c) {
+      return c.key === key;
+    }).map(function(c) {
+      return c.entry;
+    });
+    return {
+      pool: pool.name,
+      size: pool.stats.size,
+      total: pool.stats.total,
+      idle: pool.stats.idle,
+      checkedOut: pool.stats.checkedOut,
+      waiting: pool.stats.waiting,
+      openTransactions: conns.filter(function(entry) {
+        return entry.inTransaction;
+      }).length,
+      // list is sorted oldest first.
+      oldestCheckoutAge: conns.length > 0 ? conns[0].age : null,
+    };
+  });
+};
+
+/*
+ * healthCheck checks out a connection for config and runs a trivial query
+ * on it, and hits the callback with {pool, latency, queryLatency, version}:
+ * the milliseconds the whole check took, the milliseconds the query took,
+ * and the server's version. If the check doesn't finish within
+ * options.timeout milliseconds (5 seconds by default), the callback gets an
+ * Errors.AcquireTimeoutError or Errors.QueryTimeoutError. Counted in
+ * db.health_check.success and .error, and timed in db.health_check.latency.
+ * Returns a Promise if no callback is given.
+ */
+DBConnection.healthCheck = function(config, options, cb) {
+  if (typeof options === 'function') {
+    cb = options;
+    options = {};
   }
+  options = options || {};
+  var timeout = options.timeout > 0 ? options.timeout : DEFAULT_HEALTH_CHECK_TIMEOUT;
+  return Promises.fromCallback(cb, function(cb) {
+    var pool;
+    try {
+      pool = Pools.resolve(config);
+    } catch (e) {
+      return cb(e);
+    }
+    var tags = {pool: pool.name};
+    var start = Date.now();
+    var fail = function(err) {
+      Metrics.increment('db.health_check.error', tags);
+      return cb(err);
+    };
+    DBConnection.get(config, {acquireTimeout: timeout}, function(err, conn) {
+      if (err) {
+        return fail(err);
+      }
+      var queryStart = Date.now();
+      var sql = {
+        text: "SELECT current_setting('server_version') AS version",
+        // At least a millisecond, so that it still has a timeout.
+        timeout: Math.max(timeout - (queryStart - start), 1),
+      };
+      conn.query(sql, function(err, result) {
+        if (err) {
+          return fail(err);
+        }
+        conn.release();
+        var now = Date.now();
+        Metrics.increment('db.health_check.success', tags);
+        Metrics.timing('db.health_check.latency', start, tags);
+        return cb(null, {
+          pool: pool.name,
+          latency: now - start,
+          queryLatency: now - queryStart,
+          version: result.rows[0].version,
+        });
+      });
+    });
+  });
 };
 
 /*
- * getPoolUtilization synchronously returns the current number of open
- * connections as an integer, or throws an error if that number can't be
- * determined.
+ * addQueryHook runs hook.before and hook.after around every query; see
+ * Instrumentation.js for the events they receive. Parameter values are
+ * redacted unless options.redactValues is false. Returns a function that
+ * removes the hook.
+ */
+DBConnection.addQueryHook = function(hook, options) {
+  return Instrumentation.addHook(hook, options);
+};
+
+/*
+ * logSlowQueries logs every query that takes options.threshold milliseconds
+ * or longer, with its literals stripped, to options.logger (console by
+ * default), and counts it in db.query.slow. Returns a function that stops
+ * logging.
+ */
+DBConnection.logSlowQueries = function(options) {
+  return Instrumentation.addHook(Instrumentation.slowQueryLogger(options));
+};
+
+/*
+ * measureQueries times every query in db.query.latency and counts failures
+ * in db.query.error, tagged with the pool and the query's fingerprint - a
+ * hash of the query with its literals stripped, so the number of distinct
+ * tags stays manageable. Returns a function that stops measuring.
+ */
+DBConnection.measureQueries = function() {
+  return Instrumentation.addHook(Instrumentation.latencyMetrics());
+};
+
+/*
+ * checkNotShared returns an error, after releasing conn, if conn shares an
+ * outer transaction: prepared transactions can only be resolved or listed
+ * on a connection of their own. Returns null otherwise.
+ */
+var checkNotShared = function(conn, action) {
+  if (!conn._shared) {
+    return null;
+  }
+  conn.release();
+  return new Errors.InvalidStateError("DBConnection: Can't " + action +
+    " on a connection that shares an outer transaction (see SharedConnection.js)");
+};
+
+/*
+ * commitPrepared commits the transaction prepared with txn.prepare(gid) on
+ * config's database. Any connection to that database can do it, but not
+ * one that shares an outer transaction - inside an ambient transaction, or
+ * Testing.transactionPerTest - which fails with an Errors.InvalidStateError.
+ * Returns a Promise if no callback is given.
+ */
+DBConnection.commitPrepared = function(config, gid, cb) {
+  return Promises.fromCallback(cb, function(cb) {
+    finishPrepared(config, 'COMMIT PREPARED ', gid, 'db.txn.commit_prepared', cb);
+  });
+};
+
+/*
+ * rollbackPrepared rolls back the transaction prepared with
+ * txn.prepare(gid) on config's database. Like commitPrepared, it fails on a
+ * connection that shares an outer transaction.
+ */
+DBConnection.rollbackPrepared = function(config, gid, cb) {
+  return Promises.fromCallback(cb, function(cb) {
+    finishPrepared(config, 'ROLLBACK PREPARED ', gid, 'db.txn.rollback_prepared', cb);
+  });
+};
+
+var finishPrepared = function(config, command, gid, metric, cb) {
+  var sql;
+  try {
+    sql = command + DBTransaction.gidLiteral(gid);
+  } catch (e) {
+    return cb(e);
+  }
+  DBConnection.get(config, function(err, conn) {
+    if (err) {
+      Metrics.increment(metric + '.error');
+      return cb(err);
+    }
+    err = checkNotShared(conn, command.trim().toLowerCase());
+    if (err !== null) {
+      Metrics.increment(metric + '.error');
+      return cb(err);
+    }
+    conn.query(sql, function(err) {
+      if (err) {
+        Metrics.increment(metric + '.error');
+        return cb(err);
+      }
+      conn.release();
+      Metrics.increment(metric + '.success');
+      return cb(null);
+    });
+  });
+};
+
+/*
+ * listPrepared hits the callback with the prepared transactions on config's
+ * database that haven't been committed or rolled back, oldest first: their
+ * gid, when they were prepared, and the owner. Transactions prepared by a
+ * coordinator that crashed before finishing show up here; resolve them with
+ * commitPrepared or rollbackPrepared. Set options.olderThan (milliseconds)
+ * to only list transactions prepared at least that long ago. Like
+ * commitPrepared, it fails on a connection that shares an outer
+ * transaction.
  */
-DBConnection._getPoolUtilization = function() {
-  var key, pool;
-  key = Object.keys(pg.pools.all)[0];
-  if (key != null) {
-    pool = pg.pools.all[key];
-    if (pool != null) {
-      size = pool.getPoolSize();
-      return size;
+DBConnection.listPrepared = function(config, options, cb) {
+  if (typeof options === 'function') {
+    cb = options;
+    options = {};
+  }
+  options = options || {};
+  return Promises.fromCallback(cb, function(cb) {
+    DBConnection.get(config, function(err, conn) {
+      if (err) {
+        return cb(err);
+      }
+      err = checkNotShared(conn, 'list prepared transactions');
+      if (err !== null) {
+        return cb(err);
+      }
+      var olderThan = options.olderThan > 0 ? options.olderThan : 0;
+      conn.query('SELECT gid, prepared, owner FROM pg_prepared_xacts ' +
+        "WHERE database = current_database() AND prepared <= now() - $1 * interval '1 millisecond' " +
+        'ORDER BY prepared', [olderThan], function(err, result) {
+        if (err) {
+          return cb(err);
+        }
+        conn.release();
+        return cb(null, result.rows);
+      });
+    });
+  });
+};
+
+/*
+ * listen subscribes handler to NOTIFY events on channel, over a dedicated
+ * client for config's pool (see Listener.js), and hits the callback with a
+ * subscription once the server is listening. handler is called with
+ * (payload, channel). Call subscription.unlisten(cb) to unsubscribe. Returns
+ * a Promise for the subscription if no callback is given.
+ *
+ * After DBConnection.shutdown has been called, fails with an
+ * Errors.ShuttingDownError.
+ */
+DBConnection.listen = function(config, channel, handler, cb) {
+  return Promises.fromCallback(cb, function(cb) {
+    if (shutdown !== null) {
+      return cb(new Errors.ShuttingDownError());
     }
+    var listener;
+    try {
+      listener = Listener.get(config);
+    } catch (e) {
+      return cb(e);
+    }
+    listener.listen(channel, handler, cb);
+  });
+};
+
+/*
+ * setListenLogger logs errors thrown by listen handlers to logger, an object
+ * with an error method, like console. By default they're only counted in
+ * db.listen.handler.error.
+ */
+DBConnection.setListenLogger = function(logger) {
+  Listener.setLogger(logger);
+};
+
+/*
+ * closeListeners drops every subscription made with listen, and disconnects
+ * the clients they used.
+ */
+DBConnection.closeListeners = function(cb) {
+  return Promises.fromCallback(cb, function(cb) {
+    Listener.closeAll(cb);
+  });
+};
+
+/*
+ * shutdown closes every pool, for a clean exit on deploys:
+ *
+ *   process.on 'SIGTERM', ->
+ *     DBConnection.shutdown {timeout: 10000}, (err, result) ->
+ *       process.exit()
+ *
+ * From the moment it's called, get, begin, transaction and listen fail with
+ * an Errors.ShuttingDownError. It waits up to options.timeout milliseconds (30
+ * seconds by default) for the connections that are checked out to be
+ * released and their transactions committed or rolled back. Anything still
+ * open after that is rolled back and disposed. Then the LISTEN clients and
+ * the node-postgres pools are closed.
+ *
+ * Hits the callback with {forcedRollbacks, forcedReleases}: the number of
+ * transactions that were rolled back, and plain connections that were
+ * disposed, at the deadline. Calling shutdown again waits for the same
+ * result. Returns a Promise if no callback is given.
+ */
+DBConnection.shutdown = function(options, cb) {
+  if (typeof options === 'function') {
+    cb = options;
+    options = {};
+  }
+  options = options || {};
+  var timeout = options.timeout >= 0 ? options.timeout : DEFAULT_SHUTDOWN_TIMEOUT;
+  return Promises.fromCallback(cb, function(cb) {
+    if (shutdown !== null) {
+      if (shutdown.result !== null) {
+        return cb(null, shutdown.result);
+      }
+      shutdown.callbacks.push(cb);
+      return;
+    }
+    shutdown = {callbacks: [cb], result: null};
+    var deadline = Date.now() + timeout;
+
+    var finish = function(result) {
+      Metrics.measure('db.shutdown.forced_rollbacks', result.forcedRollbacks);
+      Listener.closeAll(function() {
+        pg.end();
+        shutdown.result = result;
+        var callbacks = shutdown.callbacks;
+        shutdown.callbacks = [];
+        callbacks.forEach(function(cb) {
+          cb(null, result);
+        });
+      });
+    };
+
+    var forceClose = function(open) {
+      var result = {forcedRollbacks: 0, forcedReleases: 0};
+      var pending = open.length;
+      open.forEach(function(entry) {
+        if (entry.inTransaction) {
+          result.forcedRollbacks++;
+        } else {
+          result.forcedReleases++;
+        }
+        ConnectionTracker.forceClose(entry.conn, function() {
+          pending--;
+          if (pending === 0) {
+            finish(result);
+          }
+        });
+      });
+    };
+
+    var wait = function() {
+      var open = ConnectionTracker.list();
+      if (open.length === 0) {
+        return finish({forcedRollbacks: 0, forcedReleases: 0});
+      }
+      if (Date.now() >= deadline) {
+        return forceClose(open);
+      }
+      setTimeout(wait, SHUTDOWN_POLL_INTERVAL);
+    };
+    wait();
+  });
+};
+
+/*
+ * _resetShutdown lets connections be checked out again after shutdown. For
+ * tests.
+ */
+DBConnection._resetShutdown = function() {
+  shutdown = null;
+};
+
+/*
+ * useAmbientTransactions turns ambient transactions on (true) or off: while
+ * the function passed to DBConnection.transaction is running, get and begin
+ * calls for the same pool use its transaction, through savepoints, instead
+ * of new connections. See Ambient.js. Turning them on throws on versions of
+ * Node older than 12.19 (or 14.8, for Node 13 and 14).
+ */
+DBConnection.useAmbientTransactions = function(on) {
+  Ambient.enable(on);
+};
+
+/*
+ * inTransaction returns true if the calling code is running inside an
+ * ambient transaction that's still active.
+ */
+DBConnection.inTransaction = function() {
+  return Ambient.current() !== null;
+};
+
+/*
+ * currentTransaction returns the ambient transaction the calling code is
+ * running inside, or null.
+ */
+DBConnection.currentTransaction = function() {
+  return Ambient.current();
+};
+
+/*
+ * definePool registers a named pool, so it can be passed to get, begin and
+ * transaction in place of a config. Set poolSize in the config to limit the
+ * pool's size; otherwise it's PGBOUNCER_MAX_CLIENT_CONN, or 100.
+ *
+ *   DBConnection.definePool('reporting', {database: 'reports', poolSize: 10})
+ *   DBConnection.get('reporting', cb)
+ *
+ * Every pool's metrics are tagged with its name.
+ */
+DBConnection.definePool = function(name, config) {
+  Pools.define(name, config);
+};
+
+/*
+ * defineReplicaSet registers a primary and its read replicas under name, so
+ * read-only connections and transactions on name are spread across the
+ * replicas. options are primary (a config), replicas (an array of configs),
+ * and optionally retryAfter, maxLag and lagCheckInterval; see ReplicaSets.js.
+ *
+ *   DBConnection.defineReplicaSet('main', {primary: {host: 'db1'}, replicas: [{host: 'db2'}]})
+ *   DBConnection.get('main', {readOnly: true}, cb)
+ */
+DBConnection.defineReplicaSet = function(name, options) {
+  ReplicaSets.define(name, options);
+};
+
+/*
+ * Measure a pool's state. Gauges are tagged with the pool's name:
+ *
+ * - count: clients checked out
+ * - total: the pool's size limit
+ * - idle: clients connected but not checked out
+ * - waiting: callers blocked waiting for a client
+ */
+var measurePool = function(prefix, pool) {
+  var stats = Pools.stats(pool.config);
+  if (stats === null) {
+    return;
+  }
+  var tags = {pool: pool.name};
+  Metrics.measure(prefix + '.count', stats.checkedOut, tags);
+  Metrics.measure(prefix + '.total', stats.size, tags);
+  Metrics.measure(prefix + '.idle', stats.idle, tags);
+  Metrics.measure(prefix + '.waiting', stats.waiting, tags);
+};
+
+DBConnection._getPoolSize = function() {
+  return Pools.defaultSize();
+};
+
+/*
+ * getPoolUtilization synchronously returns the current number of checked out
+ * connections in the pool for config (a name or a config; defaults to the
+ * default config) as an integer, or throws an error if that number can't be
+ * determined.
+ */
+DBConnection._getPoolUtilization = function(config) {
+  var stats = Pools.stats(Pools.resolve(config || {}).config);
+  if (stats === null) {
+    throw new Error("DBConnection: Couldn't get pool size. Make sure at least one connection's been made");
   }
-  throw new Error("DBConnection: Couldn't get pool size. Make sure at least one connection's been made");
+  return stats.checkedOut;
 };
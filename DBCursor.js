@@ -0,0 +1,220 @@
+/*
+ * Copyright 2015 Shyp, Inc.
+ *
+ * Cursors read large result sets in batches, instead of buffering every row
+ * in memory the way query does.
+ *
+ *   cursor = conn.cursor 'SELECT * FROM photos WHERE size > $1', [10], {batchSize: 500}
+ *   cursor.pipe(toCSV).pipe(file)
+ *
+ * A DBCursor is a readable stream of rows (in object mode), so it handles
+ * backpressure: the next batch isn't fetched until the consumer has caught
+ * up. Readable streams are also async iterators:
+ *
+ *   for await (const row of txn.cursor('SELECT * FROM photos')) { ... }
+ *
+ * If you'd rather handle a batch at a time, call fetch(cb) repeatedly; it
+ * hits the callback with the next batch of rows, or an empty array once the
+ * cursor is exhausted. Don't mix fetch with reading from the stream.
+ *
+ * The cursor is a server-side cursor (DECLARE ... CURSOR). Cursors only live
+ * inside a transaction, so a cursor on a plain connection runs in a
+ * transaction of its own, which is committed when the cursor is closed. A
+ * cursor on a DBTransaction runs in that transaction, and has to be read
+ * before the transaction is committed.
+ *
+ * The cursor closes itself once it's exhausted, when the stream is
+ * destroyed, or when you call close(cb). Close it if you stop reading early.
+ * Closing the cursor doesn't release the connection; as with query, you
+ * still need to release, commit or roll back. And as with query, if one of
+ * the cursor's statements fails the connection is released, and the error
+ * is emitted from the stream (or passed to fetch's callback).
+ */
+var stream = require('stream');
+var util = require('util');
+
+var Errors = require('./Errors');
+var Metrics = require('./Metrics');
+var Promises = require('./Promises');
+
+var DEFAULT_BATCH_SIZE = 100;
+
+var nextCursorId = 1;
+
+/*
+ * Create a cursor for sql (a string, or a query config object) on conn.
+ * Options:
+ *
+ * - batchSize: the number of rows to fetch at a time. Defaults to 100.
+ * - inTransaction: true if conn is already in a transaction, so the cursor
+ *   shouldn't start its own.
+ */
+var DBCursor = function(conn, sql, values, options) {
+  options = options || {};
+  this.batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
+  stream.Readable.call(this, {objectMode: true, highWaterMark: this.batchSize});
+  this.conn = conn;
+  this.name = 'cursor_' + nextCursorId++;
+  this.rowCount = 0;
+  this._sql = sql;
+  this._values = values || [];
+  this._ownTransaction = !options.inTransaction;
+  this._state = 'new';
+  this._fetching = false;
+};
+util.inherits(DBCursor, stream.Readable);
+
+module.exports = DBCursor;
+
+/*
+ * Fetch the next batch of rows. Hits the callback with an empty array once
+ * the cursor is exhausted. If no callback is given, returns a Promise for
+ * the rows.
+ */
+DBCursor.prototype.fetch = function(cb) {
+  var that = this;
+  return Promises.fromCallback(cb, function(cb) {
+    that._fetch(cb);
+  });
+};
+
+DBCursor.prototype._fetch = function(cb) {
+  var that = this;
+  if (this._state === 'closed') {
+    return cb(null, []);
+  }
+  if (this._fetching) {
+    return cb(new Errors.InvalidStateError("DBCursor: Can't fetch while another fetch is in progress"));
+  }
+  this._fetching = true;
+  this._open(function(err) {
+    if (err) {
+      that._fetching = false;
+      return cb(err);
+    }
+    that.conn.query('FETCH FORWARD ' + that.batchSize + ' FROM ' + that._identifier(), function(err, result) {
+      if (err) {
+        that._fetching = false;
+        that._state = 'closed';
+        Metrics.increment('db.cursor.error');
+        return cb(err);
+      }
+      that.rowCount += result.rows.length;
+      if (result.rows.length < that.batchSize) {
+        // That was the last batch.
+        return that._close(function(err) {
+          that._fetching = false;
+          if (err) {
+            return cb(err);
+          }
+          return cb(null, result.rows);
+        });
+      }
+      that._fetching = false;
+      return cb(null, result.rows);
+    });
+  });
+};
+
+DBCursor.prototype._identifier = function() {
+  return '"' + this.name + '"';
+};
+
+/*
+ * Declare the cursor (and begin its transaction) if that hasn't been done.
+ */
+DBCursor.prototype._open = function(cb) {
+  if (this._state === 'open') {
+    return cb(null);
+  }
+  var that = this;
+  var declare = function() {
+    var text = (that._sql !== null && typeof that._sql === 'object') ? that._sql.text : that._sql;
+    var values = (that._sql !== null && typeof that._sql === 'object' && that._sql.values) || that._values;
+    that.conn.query('DECLARE ' + that._identifier() + ' NO SCROLL CURSOR FOR ' + text, values, function(err) {
+      if (err) {
+        that._state = 'closed';
+        Metrics.increment('db.cursor.error');
+        return cb(err);
+      }
+      that._state = 'open';
+      Metrics.increment('db.cursor.open');
+      return cb(null);
+    });
+  };
+  if (!this._ownTransaction) {
+    return declare();
+  }
+  this.conn.query('BEGIN', function(err) {
+    if (err) {
+      that._state = 'closed';
+      return cb(err);
+    }
+    declare();
+  });
+};
+
+/*
+ * Close the cursor, and commit its transaction if it has its own. It's safe
+ * to call close more than once. If no callback is given, returns a Promise.
+ */
+DBCursor.prototype.close = function(cb) {
+  var that = this;
+  return Promises.fromCallback(cb, function(cb) {
+    that._close(cb);
+  });
+};
+
+DBCursor.prototype._close = function(cb) {
+  var that = this;
+  if (this._state !== 'open') {
+    this._state = 'closed';
+    return cb(null);
+  }
+  this._state = 'closed';
+  this.conn.query('CLOSE ' + this._identifier(), function(err) {
+    if (err) {
+      return cb(err);
+    }
+    Metrics.measure('db.cursor.rows', that.rowCount);
+    if (!that._ownTransaction) {
+      return cb(null);
+    }
+    that.conn.query('COMMIT', function(err) {
+      return cb(err || null);
+    });
+  });
+};
+
+DBCursor.prototype._read = function() {
+  var that = this;
+  if (this._fetching) {
+    return;
+  }
+  this._fetch(function(err, rows) {
+    if (that.destroyed) {
+      // The stream was destroyed while the fetch was in flight.
+      return that._close(function() {});
+    }
+    if (err) {
+      return that.destroy(err);
+    }
+    for (var i = 0; i < rows.length; i++) {
+      that.push(rows[i]);
+    }
+    if (that._state === 'closed') {
+      that.push(null);
+    }
+  });
+};
+
+DBCursor.prototype._destroy = function(err, cb) {
+  if (this._fetching || this.conn._released) {
+    // If a fetch is in flight, _read closes the cursor when it's done; if
+    // the connection is gone, so is the cursor.
+    return cb(err);
+  }
+  this._close(function(closeErr) {
+    cb(err || closeErr);
+  });
+};
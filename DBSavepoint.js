@@ -0,0 +1,157 @@
+/*
+ * Copyright 2015 Shyp, Inc.
+ *
+ * Savepoints let you run part of a transaction that can fail and be undone
+ * without aborting the rest of the transaction.
+ *
+ *   DBConnection.begin (err, txn) ->
+ *     txn.savepoint (err, sp) ->
+ *       sp.query 'INSERT INTO photos ...', (err, result) ->
+ *         if err
+ *           # The transaction is still usable after this
+ *           sp.rollback (err) -> txn.commit cb
+ *         else
+ *           sp.commit (err) -> txn.commit cb
+ *
+ * The DBSavepoint object has the same interface as DBTransaction:
+ *
+ * - query, which runs a query inside the savepoint. Unlike txn.query, a
+ *   failed query does NOT release the connection; the caller should roll back
+ *   the savepoint and carry on with the transaction.
+ * - commit, which releases the savepoint (RELEASE SAVEPOINT), keeping its
+ *   changes as part of the transaction.
+ * - rollback, which undoes everything since the savepoint was created
+ *   (ROLLBACK TO SAVEPOINT) and then releases it.
+ * - savepoint, which creates a nested savepoint.
+ *
+ * Committing a savepoint does not commit the transaction; you still need to
+ * call txn.commit() or txn.rollback(). If RELEASE or ROLLBACK TO fails, the
+ * transaction can't be recovered and the connection is released.
+ *
+ * A savepoint can only be committed or rolled back once; using it afterwards
+ * fails with an Errors.InvalidStateError. So does using it after the
+ * transaction has been committed, rolled back, or has failed, or after the
+ * savepoint it was created in has been committed or rolled back - that
+ * releases the nested savepoint too.
+ *
+ * query, commit and rollback return a Promise if no callback is given.
+ */
+var DBSavepoint;
+var Errors = require('./Errors');
+var Metrics = require('./Metrics');
+var Promises = require('./Promises');
+
+/*
+ * parent is the DBSavepoint this one was created in, or null if it was
+ * created in the transaction itself.
+ */
+module.exports = DBSavepoint = function(txn, name, parent) {
+  this.txn = txn;
+  this.conn = txn.conn;
+  this.name = name;
+  this.parent = parent || null;
+  this.state = DBSavepoint.ACTIVE;
+};
+
+DBSavepoint.ACTIVE = 'active';
+DBSavepoint.RELEASED = 'released';
+DBSavepoint.ROLLED_BACK = 'rolledBack';
+
+/*
+ * Returns an error if the savepoint can't be used for `action`, or null if
+ * it (and its transaction, and the savepoints it's nested in) are active.
+ */
+DBSavepoint.prototype._checkActive = function(action) {
+  var err = this.txn._checkActive(action);
+  if (err !== null) {
+    return err;
+  }
+  if (this.state === DBSavepoint.RELEASED) {
+    return new Errors.InvalidStateError("DBSavepoint: Can't " + action + " a savepoint that has already been committed");
+  }
+  if (this.state === DBSavepoint.ROLLED_BACK) {
+    return new Errors.InvalidStateError("DBSavepoint: Can't " + action + " a savepoint that has already been rolled back");
+  }
+  for (var parent = this.parent; parent !== null; parent = parent.parent) {
+    if (parent.state === DBSavepoint.RELEASED) {
+      return new Errors.InvalidStateError("DBSavepoint: Can't " + action + " a savepoint inside one that has already been committed");
+    }
+    if (parent.state === DBSavepoint.ROLLED_BACK) {
+      return new Errors.InvalidStateError("DBSavepoint: Can't " + action + " a savepoint inside one that has already been rolled back");
+    }
+  }
+  return null;
+};
+
+/*
+ * Returns the savepoint name as a quoted identifier.
+ */
+DBSavepoint.prototype._identifier = function() {
+  return '"' + this.name + '"';
+};
+
+DBSavepoint.prototype.query = function(sql, values, cb) {
+  if (typeof values === 'function') {
+    cb = values;
+    values = null;
+  }
+  var err = this._checkActive('query');
+  if (err !== null) {
+    return Promises.fromCallback(cb, function(cb) {
+      cb(err);
+    });
+  }
+  return this.conn._query(sql, values, cb, false);
+};
+
+DBSavepoint.prototype.commit = function(cb) {
+  var that = this;
+  return Promises.fromCallback(cb, function(cb) {
+    var err = that._checkActive('commit');
+    if (err !== null) {
+      return cb(err);
+    }
+    that.conn.query('RELEASE SAVEPOINT ' + that._identifier(), function(err) {
+      if (err) {
+        Metrics.increment('db.txn.savepoint.commit.error');
+        return cb(err);
+      }
+      Metrics.increment('db.txn.savepoint.commit.success');
+      that.state = DBSavepoint.RELEASED;
+      return cb(null);
+    });
+  });
+};
+
+DBSavepoint.prototype.rollback = function(cb) {
+  var that = this;
+  return Promises.fromCallback(cb, function(cb) {
+    var err = that._checkActive('roll back');
+    if (err !== null) {
+      return cb(err);
+    }
+    that.conn.query('ROLLBACK TO SAVEPOINT ' + that._identifier(), function(err) {
+      if (err) {
+        Metrics.increment('db.txn.savepoint.rollback.error');
+        return cb(err);
+      }
+      that.conn.query('RELEASE SAVEPOINT ' + that._identifier(), function(err) {
+        if (err) {
+          Metrics.increment('db.txn.savepoint.rollback.error');
+          return cb(err);
+        }
+        Metrics.increment('db.txn.savepoint.rollback.success');
+        that.state = DBSavepoint.ROLLED_BACK;
+        return cb(null);
+      });
+    });
+  });
+};
+
+/*
+ * savepoint creates a savepoint nested inside this one; see
+ * DBTransaction.savepoint.
+ */
+DBSavepoint.prototype.savepoint = function(name, cb) {
+  return this.txn._createSavepoint(this, name, cb);
+};
@@ -8,11 +8,22 @@
  *   DBConnection.begin (err, txn) ->
  *     ... Work with the transaction object..
  *
- * The DBTransaction object has three methods:
+ * The DBTransaction object has these methods:
  *
  * - query, which has the same interface as client.query in the node-postgres library
  * - commit, which commits the transaction
  * - rollback, which aborts the transaction
+ * - savepoint, which starts a savepoint you can roll back to without
+ *   aborting the transaction; see DBSavepoint.js
+ * - cursor, which reads a large result in batches; see DBCursor.js
+ * - copyFrom, copyTo and bulkInsert, which load and dump lots of rows; see
+ *   Copy.js
+ * - afterCommit and afterRollback, which register hooks (see below)
+ * - notify, which sends a NOTIFY when the transaction commits
+ * - prepare, which prepares the transaction for two-phase commit; see
+ *   TwoPhase.js
+ * - advisoryLock and tryAdvisoryLock, which take advisory locks that are
+ *   released when the transaction ends; see AdvisoryLock.js
  *
  * Example usage:
  *
@@ -31,50 +42,498 @@
  *
  * A transaction will also be aborted in the event of a Postgres syntax error
  * or a connection error.
+ *
+ * Every transaction has a state: active, failed, committed or rolled back.
+ * A query that fails releases the connection, and moves the transaction to
+ * failed - Postgres has aborted it. Calls that don't make sense in the
+ * current state fail with an Errors.InvalidStateError, without reaching the
+ * database; committing a failed transaction fails with an
+ * Errors.TransactionAbortedError. Rolling back a failed transaction is fine,
+ * and doesn't need to talk to the database.
+ *
+ * To do something only once the transaction's outcome is known - enqueue a
+ * job, send a push notification, invalidate a cache - register it with
+ * afterCommit or afterRollback:
+ *
+ *   txn.afterCommit -> queue.push 'send-receipt', pickupId
+ *
+ * Hooks run in the order they were registered, once commit or rollback has
+ * finished and the connection has been released, and before the commit or
+ * rollback callback. A failed COMMIT runs the afterRollback hooks instead.
+ * An error thrown by a hook (or a rejected Promise returned by one) is
+ * counted in db.txn.hook.error, and logged if you've set a logger with
+ * DBConnection.setHookLogger; it doesn't affect the transaction or the other
+ * hooks.
+ *
+ * query, commit and rollback return a Promise if no callback is given:
+ *
+ *   var txn = await DBConnection.begin(config);
+ *   await txn.query("UPDATE foo SET bar='baz'");
+ *   await txn.commit();
+ *
+ * Calling commit or rollback without a callback and without waiting for the
+ * Promise still works as it always has: if it fails, the rejection is
+ * dropped rather than left unhandled.
  */
 var DBTransaction;
+var AdvisoryLock = require('./AdvisoryLock');
+var Copy = require('./Copy');
+var DBSavepoint = require('./DBSavepoint');
+var Errors = require('./Errors');
 var Metrics = require('./Metrics');
+var Promises = require('./Promises');
+var TransactionMode = require('./TransactionMode');
+
+var SAVEPOINT_NAME = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+
+// Postgres limits transaction identifiers to 200 bytes.
+var MAX_GID_LENGTH = 200;
 
-module.exports = DBTransaction = function (conn) {
+// Where hook failures are logged, besides db.txn.hook.error; see
+// setHookLogger.
+var hookLogger = null;
+
+/*
+ * mode describes the transaction's isolation level, access mode and
+ * deferrability; see TransactionMode.js. It defaults to the server defaults.
+ */
+module.exports = DBTransaction = function (conn, mode, settings) {
   this.conn = conn;
+  // Lets the connection fail the transaction when it's released, and lets
+  // leak detection tell transactions apart from plain connections.
+  conn._txn = this;
+  this.mode = mode || TransactionMode.parse({});
+  // The settings applied with SET LOCAL (see Settings.js), or null.
+  this.settings = settings || null;
+  this.state = DBTransaction.ACTIVE;
+  this._savepointCount = 0;
+  this._afterCommit = [];
+  this._afterRollback = [];
+};
+
+DBTransaction.ACTIVE = 'active';
+DBTransaction.FAILED = 'failed';
+DBTransaction.COMMITTED = 'committed';
+DBTransaction.ROLLED_BACK = 'rolledBack';
+DBTransaction.PREPARED = 'prepared';
+
+/*
+ * _fail moves an active transaction to the failed state. The connection calls
+ * it when it's released out from under the transaction; err is the error
+ * that caused that, if there was one.
+ */
+DBTransaction.prototype._fail = function(err) {
+  if (this.state === DBTransaction.ACTIVE) {
+    this.state = DBTransaction.FAILED;
+    this._failure = err || null;
+  }
 };
 
+/*
+ * Returns an error if the transaction can't be used for `action`, or null if
+ * it's active.
+ */
+DBTransaction.prototype._checkActive = function(action) {
+  switch (this.state) {
+    case DBTransaction.ACTIVE:
+      return null;
+    case DBTransaction.FAILED:
+      return new Errors.TransactionAbortedError(action, this._failure);
+    case DBTransaction.COMMITTED:
+      return new Errors.InvalidStateError("DBTransaction: Can't " + action + " a transaction that has already been committed");
+    case DBTransaction.PREPARED:
+      return new Errors.InvalidStateError("DBTransaction: Can't " + action + " a transaction that has already been prepared");
+    default:
+      return new Errors.InvalidStateError("DBTransaction: Can't " + action + " a transaction that has already been rolled back");
+  }
+};
+
+/*
+ * afterCommit registers fn to run once the transaction has been committed.
+ * If the transaction is rolled back instead, fn never runs.
+ */
+DBTransaction.prototype.afterCommit = function(fn) {
+  this._addHook(this._afterCommit, 'register an afterCommit hook on', fn);
+};
+
+/*
+ * afterRollback registers fn to run once the transaction has been rolled
+ * back, or its COMMIT has failed.
+ */
+DBTransaction.prototype.afterRollback = function(fn) {
+  this._addHook(this._afterRollback, 'register an afterRollback hook on', fn);
+};
+
+DBTransaction.prototype._addHook = function(hooks, action, fn) {
+  if (typeof fn !== 'function') {
+    throw new Error("DBTransaction: hook must be a function");
+  }
+  // A failed transaction can still be rolled back, so hooks can still run.
+  if (this.state !== DBTransaction.FAILED) {
+    var err = this._checkActive(action);
+    if (err !== null) {
+      throw err;
+    }
+  }
+  hooks.push(fn);
+};
+
+/*
+ * setHookLogger logs errors thrown by afterCommit and afterRollback hooks to
+ * logger, an object with an error method, like console. By default they're
+ * only counted in db.txn.hook.error. Pass null to stop logging.
+ */
+DBTransaction.setHookLogger = function(logger) {
+  hookLogger = logger || null;
+};
+
+/*
+ * _runHooks runs the afterCommit hooks if committed is true, and the
+ * afterRollback hooks otherwise. Either way, the hooks are cleared, so
+ * they run at most once.
+ */
+DBTransaction.prototype._runHooks = function(committed) {
+  var hooks = committed ? this._afterCommit : this._afterRollback;
+  var kind = committed ? 'afterCommit' : 'afterRollback';
+  this._afterCommit = [];
+  this._afterRollback = [];
+  hooks.forEach(function(fn) {
+    var report = function(err) {
+      Metrics.increment('db.txn.hook.error', {hook: kind});
+      if (hookLogger !== null) {
+        hookLogger.error("DBTransaction: " + kind + " hook failed:", err);
+      }
+    };
+    try {
+      var result = fn();
+      if (result !== null && typeof result === 'object' && typeof result.then === 'function') {
+        result.then(null, report);
+      }
+    } catch (e) {
+      report(e);
+    }
+  });
+};
+
+/*
+ * rollback aborts the transaction. If no callback is given, returns a
+ * Promise; you don't have to wait for it, since a rollback nobody waits for
+ * can't cause an unhandled rejection.
+ */
 DBTransaction.prototype.rollback = function(cb) {
   var that = this;
-  return this.conn.query('ROLLBACK', function(err) {
+  return Promises.fromCallbackQuiet(cb, function(cb) {
+    that._rollback(null, cb);
+  });
+};
+
+/*
+ * _rollback is rollback, with a timeout in milliseconds for the ROLLBACK
+ * (null for the connection's queryTimeout). Leak detection and shutdown use
+ * it to roll back transactions nobody finished.
+ */
+DBTransaction.prototype._rollback = function(timeout, cb) {
+  var that = this;
+  if (that.state === DBTransaction.FAILED) {
+    // Postgres already aborted the transaction, and the connection's been
+    // released; there's nothing left to do.
+    that.state = DBTransaction.ROLLED_BACK;
+    that._runHooks(false);
+    return cb(null);
+  }
+  var err = that._checkActive('roll back');
+  if (err !== null) {
+    return cb(err);
+  }
+  var sql = timeout > 0 ? {text: 'ROLLBACK', timeout: timeout} : 'ROLLBACK';
+  that.conn.query(sql, function(err) {
     if (err) {
+      // The failed query released the connection, which ends the
+      // transaction either way.
       Metrics.increment('db.txn.rollback.error');
-      if (cb) {
-        cb(err);
-      }
-      return;
+      that._runHooks(false);
+      return cb(err);
     }
     Metrics.increment('db.txn.rollback.success');
+    that.state = DBTransaction.ROLLED_BACK;
     that.conn.release(true);
-    if (cb) {
-      return cb(null);
-    }
+    that._runHooks(false);
+    return cb(null);
   });
 };
 
-DBTransaction.prototype.query = function() {
-  this.conn.query.apply(this.conn, arguments);
+DBTransaction.prototype.query = function(sql, values, cb) {
+  if (typeof values === 'function') {
+    cb = values;
+    values = null;
+  }
+  var err = this._checkActive('query');
+  if (err !== null) {
+    return Promises.fromCallback(cb, function(cb) {
+      cb(err);
+    });
+  }
+  return this.conn.query(sql, values, cb);
+};
+
+/*
+ * notify sends payload (a string, optional) to everyone listening on
+ * channel. Postgres holds the notification until the transaction commits,
+ * and drops it if the transaction rolls back. Returns a Promise if no
+ * callback is given.
+ */
+DBTransaction.prototype.notify = function(channel, payload, cb) {
+  if (typeof payload === 'function') {
+    cb = payload;
+    payload = null;
+  }
+  if (payload === null || typeof payload === "undefined") {
+    payload = '';
+  }
+  var that = this;
+  return Promises.fromCallback(cb, function(cb) {
+    that.query('SELECT pg_notify($1, $2)', [channel, payload], function(err) {
+      return cb(err || null);
+    });
+  });
 };
 
+/*
+ * advisoryLock takes the transaction-level advisory lock for key (a string
+ * or an integer; see AdvisoryLock.js), waiting until it's free. Postgres
+ * releases it when the transaction commits or rolls back. Returns a Promise
+ * if no callback is given.
+ */
+DBTransaction.prototype.advisoryLock = function(key, cb) {
+  var that = this;
+  return Promises.fromCallback(cb, function(cb) {
+    AdvisoryLock.run(that, 'pg_advisory_xact_lock', key, function(err) {
+      return cb(err || null);
+    });
+  });
+};
+
+/*
+ * tryAdvisoryLock takes the transaction-level advisory lock for key if it's
+ * free, and hits the callback with true if it got the lock, or false if
+ * someone else holds it.
+ */
+DBTransaction.prototype.tryAdvisoryLock = function(key, cb) {
+  var that = this;
+  return Promises.fromCallback(cb, function(cb) {
+    AdvisoryLock.run(that, 'pg_try_advisory_xact_lock', key, cb);
+  });
+};
+
+/*
+ * Cursor returns a DBCursor that reads the results of sql in batches, inside
+ * this transaction. Read it before committing. See DBCursor.js.
+ */
+DBTransaction.prototype.cursor = function(sql, values, options) {
+  var err = this._checkActive('open a cursor in');
+  if (err !== null) {
+    throw err;
+  }
+  return this.conn.cursor(sql, values, options);
+};
+
+/*
+ * copyFrom loads rows into columns of table with COPY, inside this
+ * transaction. If the COPY fails, the transaction fails, as with query. See
+ * Copy.js.
+ */
+DBTransaction.prototype.copyFrom = function(table, columns, rows, cb) {
+  var err = this._checkActive('copy in');
+  if (err !== null) {
+    return Promises.fromCallback(cb, function(cb) {
+      cb(err);
+    });
+  }
+  return this.conn.copyFrom(table, columns, rows, cb);
+};
+
+/*
+ * copyTo returns a readable stream of the rows of sql as lines of CSV,
+ * copied inside this transaction. Read it before committing. Like
+ * DBConnection.copyTo, it reports errors - including the transaction having
+ * finished - as 'error' events on the stream. See Copy.js.
+ */
+DBTransaction.prototype.copyTo = function(sql) {
+  var err = this._checkActive('copy out of');
+  if (err !== null) {
+    return Copy.failedStream(err);
+  }
+  return this.conn.copyTo(sql);
+};
+
+/*
+ * bulkInsert inserts rows into columns of table with multi-row INSERTs,
+ * inside this transaction, so either every row is inserted or - if the
+ * transaction rolls back - none are. See Copy.js.
+ */
+DBTransaction.prototype.bulkInsert = function(table, columns, rows, options, cb) {
+  return Copy.insert(this, table, columns, rows, options, cb);
+};
+
+/*
+ * commit commits the transaction. If no callback is given, returns a Promise,
+ * which - as with rollback - won't cause an unhandled rejection if nobody
+ * waits for it. Wait for it anyway, or you won't know if the commit failed.
+ */
 DBTransaction.prototype.commit = function(cb) {
   var that = this;
-  return this.conn.query('COMMIT', function(err) {
-    if (err) {
-      Metrics.increment('db.txn.commit.error');
-      if (cb) {
-        cb(err);
+  return Promises.fromCallbackQuiet(cb, function(cb) {
+    var err = that._checkActive('commit');
+    if (err !== null) {
+      if (err instanceof Errors.TransactionAbortedError) {
+        Metrics.increment('db.txn.commit.error');
+        that._runHooks(false);
       }
-      return;
+      return cb(err);
     }
-    Metrics.increment('db.txn.commit.success');
-    that.conn.release(true);
-    if (cb) {
+    that.conn.query('COMMIT', function(err, result) {
+      if (err) {
+        Metrics.increment('db.txn.commit.error');
+        that._runHooks(false);
+        return cb(err);
+      }
+      if (result && result.command === 'ROLLBACK') {
+        // Postgres answers COMMIT with ROLLBACK if a statement failed inside
+        // the transaction (say, in a savepoint that was never rolled back).
+        Metrics.increment('db.txn.commit.error');
+        that._fail(null);
+        that.conn.release(true);
+        that._runHooks(false);
+        return cb(that._checkActive('commit'));
+      }
+      Metrics.increment('db.txn.commit.success');
+      that.state = DBTransaction.COMMITTED;
+      that.conn.release(true);
+      that._runHooks(true);
+      return cb(null);
+    });
+  });
+};
+
+/*
+ * Prepare prepares the transaction for two-phase commit under the global
+ * identifier gid (PREPARE TRANSACTION), and releases the connection. The
+ * transaction's changes are saved, but not visible, until someone calls
+ * DBConnection.commitPrepared or rollbackPrepared with the same gid - from
+ * any connection, even after a restart. The transaction moves to the
+ * prepared state, and can't be used any more.
+ *
+ * A prepared transaction holds its locks until it's resolved, so don't
+ * leave it prepared for long. afterRollback hooks run if the prepare fails.
+ * Otherwise the hooks wait for the outcome: TwoPhase.commit runs them once
+ * it has committed or rolled back the prepared transaction. Resolving it
+ * yourself with commitPrepared or rollbackPrepared doesn't run them.
+ *
+ * A transaction nested in an outer one - inside an ambient transaction, or
+ * Testing.transactionPerTest - is only a savepoint, and can't be prepared
+ * on its own: prepare fails with an Errors.InvalidStateError, and leaves it
+ * active.
+ *
+ * If no callback is given, returns a Promise.
+ */
+DBTransaction.prototype.prepare = function(gid, cb) {
+  var that = this;
+  return Promises.fromCallback(cb, function(cb) {
+    var err = that._checkActive('prepare');
+    if (err === null && that.conn._shared) {
+      err = new Errors.InvalidStateError("DBTransaction: Can't prepare a transaction nested in an outer transaction");
+    }
+    if (err !== null) {
+      if (err instanceof Errors.TransactionAbortedError) {
+        Metrics.increment('db.txn.prepare.error');
+        that._runHooks(false);
+      }
+      return cb(err);
+    }
+    var sql;
+    try {
+      sql = 'PREPARE TRANSACTION ' + DBTransaction.gidLiteral(gid);
+    } catch (e) {
+      return cb(e);
+    }
+    that.conn.query(sql, function(err, result) {
+      if (err) {
+        Metrics.increment('db.txn.prepare.error');
+        that._runHooks(false);
+        return cb(err);
+      }
+      if (result && result.command === 'ROLLBACK') {
+        // As with COMMIT, Postgres answers ROLLBACK if the transaction had
+        // already failed.
+        Metrics.increment('db.txn.prepare.error');
+        that._fail(null);
+        that.conn.release(true);
+        that._runHooks(false);
+        return cb(that._checkActive('prepare'));
+      }
+      Metrics.increment('db.txn.prepare.success');
+      that.state = DBTransaction.PREPARED;
+      that.gid = gid;
+      that.conn.release(true);
       return cb(null);
+    });
+  });
+};
+
+/*
+ * gidLiteral returns gid, a prepared transaction's global identifier, as a
+ * quoted string literal, or throws if it isn't a valid identifier.
+ */
+DBTransaction.gidLiteral = function(gid) {
+  if (typeof gid !== 'string' || gid.length === 0 || Buffer.byteLength(gid) >= MAX_GID_LENGTH) {
+    throw new Error("DBTransaction: Invalid prepared transaction id " + JSON.stringify(gid) +
+      "; it must be a non-empty string shorter than " + MAX_GID_LENGTH + " bytes");
+  }
+  return "'" + gid.replace(/'/g, "''") + "'";
+};
+
+/*
+ * Savepoint creates a savepoint and hits the callback with a DBSavepoint
+ * handle for it. name is optional; if it's left off, a unique name is
+ * generated. Names must be plain identifiers (letters, digits and
+ * underscores).
+ *
+ * If no callback is given, returns a Promise for the DBSavepoint.
+ */
+DBTransaction.prototype.savepoint = function(name, cb) {
+  return this._createSavepoint(null, name, cb);
+};
+
+/*
+ * _createSavepoint creates a savepoint inside parent, a DBSavepoint, or
+ * directly inside the transaction if parent is null.
+ */
+DBTransaction.prototype._createSavepoint = function(parent, name, cb) {
+  if (typeof name === 'function') {
+    cb = name;
+    name = null;
+  }
+  var that = this;
+  return Promises.fromCallback(cb, function(cb) {
+    var err = (parent || that)._checkActive('create a savepoint in');
+    if (err !== null) {
+      return cb(err);
+    }
+    that._savepointCount++;
+    if (name === null || typeof name === "undefined") {
+      name = 'sp_' + that._savepointCount;
     }
+    if (!SAVEPOINT_NAME.test(name)) {
+      return cb(new Error("DBTransaction: Invalid savepoint name " + JSON.stringify(name)));
+    }
+    var sp = new DBSavepoint(that, name, parent);
+    that.conn.query('SAVEPOINT ' + sp._identifier(), function(err) {
+      if (err) {
+        Metrics.increment('db.txn.savepoint.begin.error');
+        return cb(err);
+      }
+      Metrics.increment('db.txn.savepoint.begin.success');
+      return cb(null, sp);
+    });
   });
 };
@@ -0,0 +1,286 @@
+/*
+ * Copyright 2015 Shyp, Inc.
+ *
+ * Errors returned by this library. Check for them with instanceof:
+ *
+ *   DBConnection.get config, {acquireTimeout: 1000}, (err, conn) ->
+ *     if err instanceof Errors.AcquireTimeoutError
+ *       # The pool is exhausted
+ *
+ * Errors from Postgres and from the connection are wrapped in a DatabaseError
+ * subclass picked from the error's SQLSTATE code, so you can write
+ *
+ *   if err instanceof Errors.UniqueViolationError
+ *     # err.constraint, err.table, err.sql...
+ *
+ * instead of matching on err.code. The hierarchy is:
+ *
+ * DatabaseError
+ *   ConnectionError - the connection failed or was refused; the statement
+ *     may or may not have run
+ *   StatementError - the server rejected the statement; the connection was
+ *     fine
+ *     IntegrityConstraintViolationError (23xxx)
+ *       UniqueViolationError, ForeignKeyViolationError,
+ *       NotNullViolationError, CheckViolationError, ExclusionViolationError
+ *     TransactionRollbackError (40xxx) - retryable
+ *       SerializationFailureError, DeadlockError
+ *     DataError (22xxx)
+ *     SqlSyntaxError, UndefinedTableError, UndefinedColumnError,
+ *     InsufficientPrivilegeError, LockNotAvailableError, QueryCanceledError
+ *
+ * Every DatabaseError has the original node-postgres error as `cause`, its
+ * SQLSTATE `code`, the `constraint`, `table`, `column`, `schema`, `detail`
+ * and `hint` Postgres reported (where it did), and the `sql` that failed.
+ * `retryable` is true for errors where running the whole transaction again
+ * can succeed.
+ */
+var util = require('util');
+
+/*
+ * AcquireTimeoutError means no connection came free in the pool within
+ * `timeout` milliseconds.
+ */
+var AcquireTimeoutError = function(timeout) {
+  Error.captureStackTrace(this, AcquireTimeoutError);
+  this.name = 'AcquireTimeoutError';
+  this.message = "DBConnection: Timed out after " + timeout + "ms waiting for a connection from the pool";
+  this.timeout = timeout;
+};
+util.inherits(AcquireTimeoutError, Error);
+
+/*
+ * QueryTimeoutError means a query didn't finish within `timeout`
+ * milliseconds, and was canceled. `sql` is the query that timed out.
+ */
+var QueryTimeoutError = function(timeout, sql) {
+  Error.captureStackTrace(this, QueryTimeoutError);
+  this.name = 'QueryTimeoutError';
+  this.message = "DBConnection: Query timed out after " + timeout + "ms and was canceled";
+  this.timeout = timeout;
+  this.sql = sql;
+};
+util.inherits(QueryTimeoutError, Error);
+
+/*
+ * InvalidStateError means a connection, transaction or savepoint was used
+ * after it was released, committed or rolled back. The call never reached the
+ * database.
+ */
+var InvalidStateError = function(message) {
+  Error.captureStackTrace(this, InvalidStateError);
+  this.name = 'InvalidStateError';
+  this.message = message;
+};
+util.inherits(InvalidStateError, Error);
+
+/*
+ * TransactionAbortedError means a transaction can't be used because an
+ * earlier statement failed, and Postgres aborted it. `cause` is the error
+ * that aborted it, if it's known.
+ */
+var TransactionAbortedError = function(action, cause) {
+  Error.captureStackTrace(this, TransactionAbortedError);
+  this.name = 'TransactionAbortedError';
+  this.message = "DBTransaction: Can't " + action + " a transaction that was aborted by an earlier error";
+  if (cause) {
+    this.message += ": " + cause.message;
+  }
+  this.cause = cause || null;
+};
+util.inherits(TransactionAbortedError, InvalidStateError);
+
+/*
+ * ShuttingDownError means DBConnection.shutdown has been called, so no more
+ * connections can be checked out.
+ */
+var ShuttingDownError = function() {
+  Error.captureStackTrace(this, ShuttingDownError);
+  this.name = 'ShuttingDownError';
+  this.message = "DBConnection: Can't check out a connection; the database connections are shutting down";
+};
+util.inherits(ShuttingDownError, Error);
+
+/*
+ * TwoPhaseCommitError means TwoPhase.commit couldn't finish: some prepared
+ * transactions couldn't be committed (phase is 'commit') or, after a prepare
+ * failed, rolled back (phase is 'rollback'). `unresolved` lists them, as
+ * {config, gid}; they need to be finished by hand with
+ * DBConnection.commitPrepared or rollbackPrepared. `cause` is the error that
+ * stopped the commit.
+ */
+var TwoPhaseCommitError = function(phase, cause, unresolved) {
+  Error.captureStackTrace(this, TwoPhaseCommitError);
+  this.name = 'TwoPhaseCommitError';
+  this.message = "TwoPhase: Couldn't " + phase + " " + unresolved.length + " prepared transaction(s): " + cause.message;
+  this.phase = phase;
+  this.cause = cause;
+  this.unresolved = unresolved;
+};
+util.inherits(TwoPhaseCommitError, Error);
+
+/*
+ * DatabaseError is the base class for errors from Postgres or the
+ * connection. original is the node-postgres error, and sql is the query that
+ * failed (if there was one).
+ */
+var DatabaseError = function(original, sql) {
+  Error.captureStackTrace(this, this.constructor);
+  this.name = 'DatabaseError';
+  this.message = original.message;
+  this.cause = original;
+  this.code = original.code;
+  this.severity = original.severity;
+  this.detail = original.detail;
+  this.hint = original.hint;
+  this.schema = original.schema;
+  this.table = original.table;
+  this.column = original.column;
+  this.constraint = original.constraint;
+  this.sql = queryText(sql);
+};
+util.inherits(DatabaseError, Error);
+
+DatabaseError.prototype.retryable = false;
+
+var queryText = function(sql) {
+  if (sql !== null && typeof sql === 'object') {
+    return sql.text;
+  }
+  return sql;
+};
+
+/*
+ * Creates a DatabaseError subclass called name, inheriting from Parent.
+ */
+var defineError = function(name, Parent, retryable) {
+  var E = function(original, sql) {
+    Parent.call(this, original, sql);
+    this.name = name;
+  };
+  util.inherits(E, Parent);
+  if (retryable) {
+    E.prototype.retryable = true;
+  }
+  return E;
+};
+
+var ConnectionError = defineError('ConnectionError', DatabaseError);
+var StatementError = defineError('StatementError', DatabaseError);
+
+var IntegrityConstraintViolationError = defineError('IntegrityConstraintViolationError', StatementError);
+var UniqueViolationError = defineError('UniqueViolationError', IntegrityConstraintViolationError);
+var ForeignKeyViolationError = defineError('ForeignKeyViolationError', IntegrityConstraintViolationError);
+var NotNullViolationError = defineError('NotNullViolationError', IntegrityConstraintViolationError);
+var CheckViolationError = defineError('CheckViolationError', IntegrityConstraintViolationError);
+var ExclusionViolationError = defineError('ExclusionViolationError', IntegrityConstraintViolationError);
+
+var TransactionRollbackError = defineError('TransactionRollbackError', StatementError, true);
+var SerializationFailureError = defineError('SerializationFailureError', TransactionRollbackError);
+var DeadlockError = defineError('DeadlockError', TransactionRollbackError);
+
+var DataError = defineError('DataError', StatementError);
+var SqlSyntaxError = defineError('SqlSyntaxError', StatementError);
+var UndefinedTableError = defineError('UndefinedTableError', StatementError);
+var UndefinedColumnError = defineError('UndefinedColumnError', StatementError);
+var InsufficientPrivilegeError = defineError('InsufficientPrivilegeError', StatementError);
+var LockNotAvailableError = defineError('LockNotAvailableError', StatementError);
+var QueryCanceledError = defineError('QueryCanceledError', StatementError);
+
+// SQLSTATE codes: http://www.postgresql.org/docs/9.3/static/errcodes-appendix.html
+var BY_CODE = {
+  '23505': UniqueViolationError,
+  '23503': ForeignKeyViolationError,
+  '23502': NotNullViolationError,
+  '23514': CheckViolationError,
+  '23P01': ExclusionViolationError,
+  '40001': SerializationFailureError,
+  '40P01': DeadlockError,
+  '42601': SqlSyntaxError,
+  '42P01': UndefinedTableError,
+  '42703': UndefinedColumnError,
+  '42501': InsufficientPrivilegeError,
+  '55P03': LockNotAvailableError,
+  '57014': QueryCanceledError,
+  // The server is shutting down, restarting, or out of connection slots.
+  '57P01': ConnectionError,
+  '57P02': ConnectionError,
+  '57P03': ConnectionError,
+  '53300': ConnectionError,
+};
+
+var BY_CLASS = {
+  '08': ConnectionError,
+  '22': DataError,
+  '23': IntegrityConstraintViolationError,
+  '40': TransactionRollbackError,
+};
+
+var SQLSTATE = /^[0-9A-Z]{5}$/;
+
+// Node system errors, like ECONNRESET or EPIPE.
+var SYSTEM_ERROR = /^E[A-Z]+$/;
+
+/*
+ * wrap returns err as the matching DatabaseError subclass, with sql as the
+ * query that failed. Errors without a code, and errors that are already
+ * wrapped, are returned unchanged.
+ */
+var wrap = function(err, sql) {
+  if (err === null || typeof err !== 'object' || err instanceof DatabaseError) {
+    return err;
+  }
+  if (typeof err.code !== 'string') {
+    return err;
+  }
+  if (SQLSTATE.test(err.code)) {
+    var E = BY_CODE[err.code] || BY_CLASS[err.code.slice(0, 2)] || StatementError;
+    return new E(err, sql);
+  }
+  if (SYSTEM_ERROR.test(err.code)) {
+    return new ConnectionError(err, sql);
+  }
+  return err;
+};
+
+/*
+ * wrapConnectionError wraps an error from checking out a connection. Any
+ * error there - a refused connection, bad credentials, too many clients - is
+ * a ConnectionError.
+ */
+var wrapConnectionError = function(err) {
+  if (err === null || typeof err !== 'object' || err instanceof DatabaseError) {
+    return err;
+  }
+  return new ConnectionError(err);
+};
+
+module.exports = {
+  DatabaseError: DatabaseError,
+  ConnectionError: ConnectionError,
+  StatementError: StatementError,
+  IntegrityConstraintViolationError: IntegrityConstraintViolationError,
+  UniqueViolationError: UniqueViolationError,
+  ForeignKeyViolationError: ForeignKeyViolationError,
+  NotNullViolationError: NotNullViolationError,
+  CheckViolationError: CheckViolationError,
+  ExclusionViolationError: ExclusionViolationError,
+  TransactionRollbackError: TransactionRollbackError,
+  SerializationFailureError: SerializationFailureError,
+  DeadlockError: DeadlockError,
+  DataError: DataError,
+  SqlSyntaxError: SqlSyntaxError,
+  UndefinedTableError: UndefinedTableError,
+  UndefinedColumnError: UndefinedColumnError,
+  InsufficientPrivilegeError: InsufficientPrivilegeError,
+  LockNotAvailableError: LockNotAvailableError,
+  QueryCanceledError: QueryCanceledError,
+  AcquireTimeoutError: AcquireTimeoutError,
+  QueryTimeoutError: QueryTimeoutError,
+  InvalidStateError: InvalidStateError,
+  TransactionAbortedError: TransactionAbortedError,
+  ShuttingDownError: ShuttingDownError,
+  TwoPhaseCommitError: TwoPhaseCommitError,
+  wrap: wrap,
+  wrapConnectionError: wrapConnectionError,
+};
@@ -0,0 +1,201 @@
+/*
+ * Copyright 2015 Shyp, Inc.
+ *
+ * Hooks that run before and after every query made through DBConnection
+ * (and so DBTransaction and DBSavepoint).
+ *
+ *   remove = DBConnection.addQueryHook
+ *     before: (event) -> ...
+ *     after: (event) -> console.log event.fingerprint, event.duration
+ *
+ * Both functions are optional. They receive an event with:
+ *
+ * - sql: the query text
+ * - fingerprint: a short hash of the normalized query (see normalize)
+ * - paramCount: the number of parameters
+ * - values: the parameters, each replaced with '[REDACTED]' unless the hook
+ *   was added with {redactValues: false}
+ * - pool: the name of the connection's pool
+ *
+ * and after also gets startedAt (when the query was sent, in milliseconds
+ * since the epoch), duration (milliseconds), rowCount (null if the query
+ * failed) and error (null if it succeeded). Hooks run synchronously; an
+ * error thrown by a hook is counted in db.query.hook.error and otherwise
+ * ignored, so it can't break the query.
+ *
+ * Two hooks are built in: a slow query logger (DBConnection.logSlowQueries)
+ * and per-statement latency metrics (DBConnection.measureQueries).
+ */
+var crypto = require('crypto');
+
+var Metrics = require('./Metrics');
+
+var REDACTED = '[REDACTED]';
+
+var hooks = [];
+
+/*
+ * addHook registers hook, an object with optional before and after
+ * functions. Options:
+ *
+ * - redactValues: defaults to true. Set it to false to see the query's
+ *   parameter values. Be careful: they may contain passwords or personal
+ *   data.
+ *
+ * Returns a function that removes the hook.
+ */
+exports.addHook = function(hook, options) {
+  options = options || {};
+  var entry = {
+    hook: hook,
+    redactValues: options.redactValues !== false,
+  };
+  hooks.push(entry);
+  return function() {
+    var i = hooks.indexOf(entry);
+    if (i !== -1) {
+      hooks.splice(i, 1);
+    }
+  };
+};
+
+/*
+ * start runs the before hooks for a query, and returns the state finish
+ * needs, or null if there are no hooks.
+ */
+exports.start = function(conn, sql, values) {
+  if (hooks.length === 0) {
+    return null;
+  }
+  var text = (sql !== null && typeof sql === 'object') ? sql.text : sql;
+  var state = {
+    // Copied so hooks added or removed mid-query don't see half of it.
+    hooks: hooks.slice(),
+    sql: text,
+    fingerprint: exports.fingerprint(text),
+    values: values,
+    pool: conn.pool,
+    start: Date.now(),
+  };
+  state.hooks.forEach(function(entry) {
+    run(entry, 'before', makeEvent(state, entry));
+  });
+  return state;
+};
+
+/*
+ * finish runs the after hooks for a query started with start.
+ */
+exports.finish = function(state, err, res) {
+  if (state === null) {
+    return;
+  }
+  var duration = Date.now() - state.start;
+  state.hooks.forEach(function(entry) {
+    var event = makeEvent(state, entry);
+    event.startedAt = state.start;
+    event.duration = duration;
+    event.rowCount = err ? null : (res && typeof res.rowCount === 'number' ? res.rowCount : null);
+    event.error = err || null;
+    run(entry, 'after', event);
+  });
+};
+
+var makeEvent = function(state, entry) {
+  var values = state.values || [];
+  return {
+    sql: state.sql,
+    fingerprint: state.fingerprint,
+    paramCount: values.length,
+    values: entry.redactValues ? values.map(function() { return REDACTED; }) : values,
+    pool: state.pool,
+  };
+};
+
+var run = function(entry, phase, event) {
+  if (typeof entry.hook[phase] !== 'function') {
+    return;
+  }
+  try {
+    entry.hook[phase](event);
+  } catch (e) {
+    Metrics.increment('db.query.hook.error', {phase: phase});
+  }
+};
+
+/*
+ * normalize strips the literals out of a query, so that queries that differ
+ * only in their values look the same:
+ *
+ *   SELECT * FROM photos WHERE id = 'pho_123' AND size IN (1, 2, 3)
+ *
+ * becomes
+ *
+ *   SELECT * FROM photos WHERE id = ? AND size IN (?)
+ *
+ * Comments are removed, string and numeric literals and parameter
+ * placeholders become ?, lists of them collapse to one, and whitespace is
+ * collapsed.
+ */
+exports.normalize = function(sql) {
+  return String(sql)
+    .replace(/--[^\n]*/g, ' ')
+    .replace(/\/\*[\s\S]*?\*\//g, ' ')
+    .replace(/\$(\w*)\$[\s\S]*?\$\1\$/g, '?')
+    .replace(/[EeBbXx]?'(?:[^']|'')*'/g, '?')
+    .replace(/\$\d+/g, '?')
+    .replace(/\b\d+(?:\.\d+)?(?:[eE][-+]?\d+)?\b/g, '?')
+    .replace(/\s+/g, ' ')
+    .replace(/\?(?:\s*,\s*\?)+/g, '?')
+    .trim();
+};
+
+/*
+ * fingerprint returns a short, stable identifier for the normalized query,
+ * suitable as a metric tag.
+ */
+exports.fingerprint = function(sql) {
+  return crypto.createHash('sha1').update(exports.normalize(sql)).digest('hex').slice(0, 12);
+};
+
+/*
+ * slowQueryLogger returns a hook that logs queries taking threshold
+ * milliseconds or longer. The query is logged in normalized form, so no
+ * values end up in the logs. Options:
+ *
+ * - threshold: in milliseconds. Required.
+ * - logger: an object with a warn method. Defaults to console.
+ */
+exports.slowQueryLogger = function(options) {
+  if (options === null || typeof options !== 'object' || !(options.threshold >= 0)) {
+    throw new Error("Instrumentation: slowQueryLogger needs a threshold in milliseconds");
+  }
+  var logger = options.logger || console;
+  return {
+    after: function(event) {
+      if (event.duration < options.threshold) {
+        return;
+      }
+      Metrics.increment('db.query.slow', {pool: event.pool, fingerprint: event.fingerprint});
+      logger.warn("DBConnection: Slow query (" + event.duration + "ms, " + event.paramCount +
+        " params, fingerprint " + event.fingerprint + "): " + exports.normalize(event.sql));
+    },
+  };
+};
+
+/*
+ * latencyMetrics returns a hook that times every query in
+ * db.query.latency, and counts failures in db.query.error, tagged with the
+ * query's pool and fingerprint.
+ */
+exports.latencyMetrics = function() {
+  return {
+    after: function(event) {
+      var tags = {pool: event.pool, fingerprint: event.fingerprint};
+      Metrics.timing('db.query.latency', event.startedAt, tags);
+      if (event.error !== null) {
+        Metrics.increment('db.query.error', tags);
+      }
+    },
+  };
+};
@@ -0,0 +1,299 @@
+/*
+ * Copyright 2015 Shyp, Inc.
+ *
+ * LISTEN/NOTIFY subscriptions. Checked out connections are meant to be
+ * short-lived, so a Listener holds one dedicated client per pool, outside the
+ * pool, and multiplexes every subscription for that pool over it.
+ *
+ *   DBConnection.listen config, 'photos_changed', (payload, channel) ->
+ *     cache.invalidate payload
+ *   , (err, subscription) ->
+ *     # later: subscription.unlisten cb
+ *
+ * The client connects when the first channel is subscribed. If the connection
+ * drops, the Listener reconnects with exponential backoff and LISTENs to every
+ * subscribed channel again; notifications sent while it was disconnected are
+ * lost, so handlers that keep caches should assume anything may have changed
+ * after a reconnect. Reconnects are counted in db.listen.reconnect.
+ *
+ * Handlers run synchronously, in the order they subscribed. An error thrown
+ * by a handler is counted in db.listen.handler.error (and logged, if you've
+ * set a logger with setLogger), and doesn't stop the other handlers.
+ */
+var pg = require('pg');
+
+var Errors = require('./Errors');
+var Metrics = require('./Metrics');
+var Pools = require('./Pools');
+
+var MIN_RECONNECT_DELAY = 100;
+var MAX_RECONNECT_DELAY = 30 * 1000;
+
+var IDLE = 'idle';
+var CONNECTING = 'connecting';
+var CONNECTED = 'connected';
+var CLOSED = 'closed';
+
+// JSON of a resolved pool config => Listener. Keyed on the config rather
+// than the pool's name, like node-postgres's pools, so two databases can
+// never share a client.
+var listeners = {};
+
+// Where handler failures are logged, besides db.listen.handler.error.
+var logger = null;
+
+var Listener = function(config, pool) {
+  this.config = config;
+  this.pool = pool;
+  this.client = null;
+  this.state = IDLE;
+  // channel => handlers
+  this.channels = {};
+  this._waiting = [];
+  this._attempt = 0;
+  this._timer = null;
+};
+
+/*
+ * get returns the Listener for a pool name or config, creating it if it
+ * doesn't exist yet.
+ */
+exports.get = function(config) {
+  var pool = Pools.resolve(config);
+  var key = JSON.stringify(pool.config);
+  if (!listeners.hasOwnProperty(key)) {
+    listeners[key] = new Listener(pool.config, pool.name);
+  }
+  return listeners[key];
+};
+
+/*
+ * closeAll closes every Listener, dropping their subscriptions.
+ */
+exports.closeAll = function(cb) {
+  var keys = Object.keys(listeners);
+  keys.forEach(function(key) {
+    listeners[key].close();
+    delete listeners[key];
+  });
+  return cb(null);
+};
+
+/*
+ * setLogger logs errors thrown by handlers to l, an object with an error
+ * method, like console. By default they're only counted. Pass null to stop
+ * logging.
+ */
+exports.setLogger = function(l) {
+  logger = l || null;
+};
+
+exports.Listener = Listener;
+
+/*
+ * Returns channel as a quoted identifier.
+ */
+var identifier = function(channel) {
+  return '"' + channel.replace(/"/g, '""') + '"';
+};
+
+/*
+ * listen subscribes handler to channel, and hits the callback with a
+ * subscription once the server is listening. Call subscription.unlisten(cb)
+ * to unsubscribe.
+ */
+Listener.prototype.listen = function(channel, handler, cb) {
+  if (typeof channel !== 'string' || channel.length === 0) {
+    return cb(new Error("Listener: channel must be a non-empty string"));
+  }
+  if (typeof handler !== 'function') {
+    return cb(new Error("Listener: handler must be a function"));
+  }
+  var that = this;
+  var subscription = {
+    channel: channel,
+    unlisten: function(cb) {
+      that._unlisten(channel, handler, cb);
+    },
+  };
+  this._connect(function(err) {
+    if (err) {
+      return cb(err);
+    }
+    if (that.channels.hasOwnProperty(channel)) {
+      that.channels[channel].push(handler);
+      return cb(null, subscription);
+    }
+    var sql = 'LISTEN ' + identifier(channel);
+    that.client.query(sql, function(err) {
+      if (err) {
+        return cb(Errors.wrap(err, sql));
+      }
+      if (!that.channels.hasOwnProperty(channel)) {
+        that.channels[channel] = [];
+      }
+      that.channels[channel].push(handler);
+      return cb(null, subscription);
+    });
+  });
+};
+
+Listener.prototype._unlisten = function(channel, handler, cb) {
+  cb = cb || function() {};
+  var handlers = this.channels[channel] || [];
+  var i = handlers.indexOf(handler);
+  if (i === -1) {
+    return cb(null);
+  }
+  handlers.splice(i, 1);
+  if (handlers.length > 0) {
+    return cb(null);
+  }
+  delete this.channels[channel];
+  if (this.state !== CONNECTED) {
+    // We'll just not LISTEN to it when we reconnect.
+    return cb(null);
+  }
+  var sql = 'UNLISTEN ' + identifier(channel);
+  this.client.query(sql, function(err) {
+    return cb(err ? Errors.wrap(err, sql) : null);
+  });
+};
+
+Listener.prototype._dispatch = function(msg) {
+  var handlers = (this.channels[msg.channel] || []).slice();
+  Metrics.increment('db.listen.notification', {pool: this.pool});
+  handlers.forEach(function(handler) {
+    try {
+      handler(msg.payload, msg.channel);
+    } catch (e) {
+      Metrics.increment('db.listen.handler.error', {channel: msg.channel});
+      if (logger !== null) {
+        logger.error("Listener: handler for channel " + msg.channel + " failed:", e);
+      }
+    }
+  });
+};
+
+/*
+ * _connect hits the callback once the client is connected and listening to
+ * every subscribed channel.
+ */
+Listener.prototype._connect = function(cb) {
+  if (this.state === CONNECTED) {
+    return cb(null);
+  }
+  if (this.state === CLOSED) {
+    return cb(new Errors.InvalidStateError("Listener: Can't listen after the listener has been closed"));
+  }
+  this._waiting.push(cb);
+  if (this.state === CONNECTING) {
+    return;
+  }
+  this.state = CONNECTING;
+  var that = this;
+  var client = new pg.Client(this.config);
+  client.on('error', function(err) {
+    that._lost(client, err);
+  });
+  client.on('end', function() {
+    that._lost(client, null);
+  });
+  client.on('notification', function(msg) {
+    that._dispatch(msg);
+  });
+  client.connect(function(err) {
+    if (err) {
+      return that._connectFailed(client, Errors.wrapConnectionError(err));
+    }
+    if (that.state === CLOSED) {
+      return client.end();
+    }
+    var channels = Object.keys(that.channels);
+    var listenNext = function(i) {
+      if (i === channels.length) {
+        that.client = client;
+        that.state = CONNECTED;
+        that._attempt = 0;
+        return that._flush(null);
+      }
+      var sql = 'LISTEN ' + identifier(channels[i]);
+      client.query(sql, function(err) {
+        if (err) {
+          return that._connectFailed(client, Errors.wrap(err, sql));
+        }
+        listenNext(i + 1);
+      });
+    };
+    listenNext(0);
+  });
+};
+
+Listener.prototype._flush = function(err) {
+  var waiting = this._waiting;
+  this._waiting = [];
+  waiting.forEach(function(cb) {
+    cb(err);
+  });
+};
+
+Listener.prototype._connectFailed = function(client, err) {
+  if (this.state === CLOSED) {
+    return;
+  }
+  this.state = IDLE;
+  client.removeAllListeners('end');
+  client.end();
+  Metrics.increment('db.listen.connect.error', {pool: this.pool});
+  this._flush(err);
+  this._scheduleReconnect();
+};
+
+/*
+ * _lost handles the client erroring or disconnecting.
+ */
+Listener.prototype._lost = function(client, err) {
+  if (client !== this.client || this.state !== CONNECTED) {
+    return;
+  }
+  this.client = null;
+  this.state = IDLE;
+  Metrics.increment('db.listen.disconnect', {pool: this.pool});
+  if (err) {
+    client.removeAllListeners('end');
+    client.end();
+  }
+  this._scheduleReconnect();
+};
+
+Listener.prototype._scheduleReconnect = function() {
+  if (this._timer !== null || this.state === CLOSED || Object.keys(this.channels).length === 0) {
+    return;
+  }
+  var delay = Math.min(MAX_RECONNECT_DELAY, MIN_RECONNECT_DELAY * Math.pow(2, this._attempt));
+  this._attempt++;
+  var that = this;
+  this._timer = setTimeout(function() {
+    that._timer = null;
+    Metrics.increment('db.listen.reconnect', {pool: that.pool});
+    that._connect(function() {});
+  }, delay);
+};
+
+/*
+ * close drops every subscription and disconnects the client.
+ */
+Listener.prototype.close = function() {
+  if (this._timer !== null) {
+    clearTimeout(this._timer);
+    this._timer = null;
+  }
+  this.state = CLOSED;
+  this.channels = {};
+  this._flush(new Errors.InvalidStateError("Listener: The listener was closed"));
+  if (this.client !== null) {
+    this.client.removeAllListeners('end');
+    this.client.end();
+    this.client = null;
+  }
+};
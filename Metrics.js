@@ -1,18 +1,199 @@
 // Copyright 2015 Shyp, Inc.
 //
-// Stub of a metrics library. You should replace this with an implementation
-// that's connected to your own metrics system.
+// Metrics about database connection usage. By default measurements are
+// discarded; call DBConnection.setMetrics (or Metrics.setBackend) with an
+// object that has measure, timing and increment methods to send them to your
+// own metrics system, or use one of the built-in backends:
+//
+//   DBConnection.setMetrics(new Metrics.StatsD({host: 'localhost', port: 8125}))
+//
+// Every method accepts an optional tags object as its last argument, e.g.
+// {isolation: 'serializable'}.
+var dgram = require('dgram');
+
+var METHODS = ['measure', 'timing', 'increment'];
+
+var formatTags = function(tags, separator) {
+  return Object.keys(tags).map(function(tag) {
+    return tag + separator + tags[tag];
+  }).join(',');
+};
+
+// Discards everything. This is the default backend.
+var noop = {
+  measure: function(key, value, tags) {},
+  timing: function(key, startTime, tags) {},
+  increment: function(key, tags) {},
+};
+
+// Logs every measurement with console.log.
+var consoleBackend = {
+  measure: function(key, value, tags) {
+    logLine(key, value, tags);
+  },
+
+  timing: function(key, startTime, tags) {
+    logLine(key, Date.now() - startTime, tags);
+  },
+
+  increment: function(key, tags) {
+    logLine(key, 1, tags);
+  },
+};
+
+var logLine = function(key, value, tags) {
+  if (tags === null || typeof tags === "undefined") {
+    return console.log(key, value);
+  }
+  console.log(key, value, formatTags(tags, ':'));
+};
+
+/*
+ * StatsD sends measurements over UDP to a StatsD server, using the DogStatsD
+ * format for tags (`key:1|c|#pool:default`). Options:
+ *
+ * - host: defaults to 'localhost'
+ * - port: defaults to 8125
+ * - prefix: prepended to every key, e.g. 'myapp.'
+ *
+ * Send errors are ignored; metrics should never take down the application.
+ * Call close() to close the socket.
+ */
+var StatsD = function(options) {
+  options = options || {};
+  this.host = options.host || 'localhost';
+  this.port = options.port || 8125;
+  this.prefix = options.prefix || '';
+  this._socket = null;
+};
+
+StatsD.prototype.measure = function(key, value, tags) {
+  this._send(key, value, 'g', tags);
+};
+
+StatsD.prototype.timing = function(key, startTime, tags) {
+  this._send(key, Date.now() - startTime, 'ms', tags);
+};
+
+StatsD.prototype.increment = function(key, tags) {
+  this._send(key, 1, 'c', tags);
+};
+
+StatsD.prototype.close = function() {
+  if (this._socket !== null) {
+    this._socket.close();
+    this._socket = null;
+  }
+};
+
+StatsD.prototype._send = function(key, value, type, tags) {
+  var line = this.prefix + key + ':' + value + '|' + type;
+  if (tags !== null && typeof tags !== "undefined" && Object.keys(tags).length > 0) {
+    line += '|#' + formatTags(tags, ':');
+  }
+  if (this._socket === null) {
+    this._socket = dgram.createSocket('udp4');
+    this._socket.on('error', function() {});
+    // Don't hold the process open just to send metrics.
+    this._socket.unref();
+  }
+  var buf = Buffer.from(line);
+  this._socket.send(buf, 0, buf.length, this.port, this.host, function() {});
+};
+
+/*
+ * Memory records every measurement in memory, for tests.
+ *
+ *   var metrics = new Metrics.Memory();
+ *   DBConnection.setMetrics(metrics);
+ *   ... run some queries ...
+ *   metrics.count('db.txn.commit.success').should.equal(1);
+ *
+ * Each entry in `records` has type ('measure', 'timing' or 'increment'),
+ * key, value and tags.
+ */
+var Memory = function() {
+  this.records = [];
+};
+
+Memory.prototype.measure = function(key, value, tags) {
+  this._record('measure', key, value, tags);
+};
+
+Memory.prototype.timing = function(key, startTime, tags) {
+  this._record('timing', key, Date.now() - startTime, tags);
+};
+
+Memory.prototype.increment = function(key, tags) {
+  this._record('increment', key, 1, tags);
+};
+
+Memory.prototype._record = function(type, key, value, tags) {
+  this.records.push({type: type, key: key, value: value, tags: tags || {}});
+};
+
+/*
+ * find returns the records for key. If tags is given, only records with
+ * (at least) those tags are returned.
+ */
+Memory.prototype.find = function(key, tags) {
+  return this.records.filter(function(record) {
+    if (record.key !== key) {
+      return false;
+    }
+    return Object.keys(tags || {}).every(function(tag) {
+      return record.tags[tag] === tags[tag];
+    });
+  });
+};
+
+/*
+ * count returns the number of times key was incremented.
+ */
+Memory.prototype.count = function(key, tags) {
+  return this.find(key, tags).filter(function(record) {
+    return record.type === 'increment';
+  }).length;
+};
+
+Memory.prototype.reset = function() {
+  this.records = [];
+};
+
+var backend = noop;
+
 module.exports = {
-  measure: function(key, value) {
-    console.log(key, value);
+  measure: function(key, value, tags) {
+    backend.measure(key, value, tags);
   },
 
-  timing: function(key, startTime) {
-    var diff = Date.now() - startTime;
-    console.log(key, diff);
+  timing: function(key, startTime, tags) {
+    backend.timing(key, startTime, tags);
   },
 
-  increment: function(key) {
-    console.log(key, 1);
+  increment: function(key, tags) {
+    backend.increment(key, tags);
   },
+
+  /*
+   * setBackend sends all future measurements to impl, which needs measure,
+   * timing and increment methods. Pass null to go back to discarding them.
+   */
+  setBackend: function(impl) {
+    if (impl === null || typeof impl === "undefined") {
+      backend = noop;
+      return;
+    }
+    METHODS.forEach(function(method) {
+      if (typeof impl[method] !== 'function') {
+        throw new Error("Metrics: backend is missing a " + method + " method");
+      }
+    });
+    backend = impl;
+  },
+
+  noop: noop,
+  console: consoleBackend,
+  StatsD: StatsD,
+  Memory: Memory,
 };
@@ -0,0 +1,197 @@
+/*
+ * Copyright 2015 Shyp, Inc.
+ *
+ * Named connection pools. node-postgres keeps one pool per distinct config;
+ * this module gives each of them a name (for metrics), its own size limit,
+ * and a way to look up how busy they are.
+ *
+ *   DBConnection.definePool('reporting', {host: 'reports.db', database: 'reports', poolSize: 10})
+ *   DBConnection.get('reporting', (err, conn) -> ...)
+ *
+ * Configs that haven't been defined can still be passed to DBConnection.get
+ * directly, as objects or connection strings; they're named after their
+ * database (or 'default' if they don't set one), plus their host and port if
+ * they set them, like 'orders@db.internal:5433'. A config keeps the first
+ * name it's resolved under, so passing a defined pool's config around - say,
+ * txn.conn.config - doesn't rename it.
+ *
+ * A pool's size is its config's poolSize, or PGBOUNCER_MAX_CLIENT_CONN, or
+ * 100. The size is fixed when the pool is first used.
+ */
+var pg = require('pg');
+var pgConnectionString = require('pg-connection-string');
+
+var DEFAULT_CONNECTION_POOL_SIZE = 100;
+
+// A URL (postgres://...), or a path to a socket directory.
+var CONNECTION_STRING = /^([a-z][a-z0-9+.-]*:\/\/|\/)/i;
+
+// name => config, for pools defined with define()
+var defined = {};
+
+// JSON of a config as it was passed in => the config it resolved to. Keyed
+// on the config before poolSize is filled in, so a change to the default
+// size doesn't make a second pool.
+var resolvedConfigs = {};
+
+// JSON of a resolved config => its name, for every config resolved so far.
+var resolvedNames = {};
+
+/*
+ * defaultSize returns the pool size for configs that don't set poolSize.
+ */
+exports.defaultSize = function() {
+  var defaultPoolSize = parseInt(process.env.PGBOUNCER_MAX_CLIENT_CONN, 10);
+  if (defaultPoolSize > 0) {
+    return defaultPoolSize;
+  } else {
+    return DEFAULT_CONNECTION_POOL_SIZE;
+  }
+};
+
+/*
+ * define registers config under name, replacing any pool already defined
+ * with that name. It doesn't connect.
+ */
+exports.define = function(name, config) {
+  if (typeof name !== 'string' || name.length === 0) {
+    throw new Error("Pools: pool name must be a non-empty string");
+  }
+  if (config === null || typeof config !== 'object') {
+    throw new Error("Pools: config for pool " + name + " must be an object");
+  }
+  defined[name] = config;
+};
+
+/*
+ * resolve turns a pool name or config into {name, config}, where config is a
+ * copy of the config with poolSize filled in. The same input always resolves
+ * to the same node-postgres pool, even if PGBOUNCER_MAX_CLIENT_CONN has
+ * changed since. A string is the name of a defined pool, or a connection
+ * string: a URL like postgres://user@host/db, or a socket directory and
+ * database like "/var/run/postgresql db". Throws for any other string, which
+ * is most likely a pool name with a typo or that hasn't been defined yet.
+ */
+exports.resolve = function(configOrName) {
+  var name = null;
+  var config = configOrName;
+  if (typeof configOrName === 'string') {
+    if (defined.hasOwnProperty(configOrName)) {
+      name = configOrName;
+      config = defined[configOrName];
+    } else if (CONNECTION_STRING.test(configOrName)) {
+      config = parseConnectionString(configOrName);
+    } else {
+      throw new Error("Pools: No pool named " + JSON.stringify(configOrName) + " has been defined");
+    }
+  }
+  config = config || {};
+  var key = JSON.stringify(config);
+  var resolved = resolvedConfigs[key];
+  if (typeof resolved === "undefined") {
+    resolved = {};
+    Object.keys(config).forEach(function(k) {
+      resolved[k] = config[k];
+    });
+    if (!(resolved.poolSize > 0)) {
+      resolved.poolSize = exports.defaultSize();
+    }
+    resolvedConfigs[key] = resolved;
+  }
+  var resolvedKey = JSON.stringify(resolved);
+  if (resolvedNames.hasOwnProperty(resolvedKey)) {
+    if (name === null) {
+      name = resolvedNames[resolvedKey];
+    }
+  } else {
+    if (name === null) {
+      name = nameFor(config);
+    }
+    resolvedNames[resolvedKey] = name;
+  }
+  return {name: name, config: resolved};
+};
+
+/*
+ * Parses a connection string the way node-postgres does, leaving out the
+ * parts it doesn't set.
+ */
+var parseConnectionString = function(connectionString) {
+  var parsed = pgConnectionString.parse(connectionString);
+  var config = {};
+  Object.keys(parsed).forEach(function(key) {
+    if (parsed[key] !== null && typeof parsed[key] !== "undefined") {
+      config[key] = parsed[key];
+    }
+  });
+  return config;
+};
+
+var nameFor = function(config) {
+  var names = Object.keys(defined);
+  for (var i = 0; i < names.length; i++) {
+    if (defined[names[i]] === config) {
+      return names[i];
+    }
+  }
+  var name = config.database || 'default';
+  if (config.host) {
+    name += '@' + config.host;
+  }
+  if (config.port) {
+    name += ':' + config.port;
+  }
+  return name;
+};
+
+/*
+ * stats returns the state of the node-postgres pool for a resolved config:
+ * size (the pool's limit), total (open clients), idle, checkedOut and
+ * waiting (callers blocked waiting for a client). Returns null if the pool
+ * hasn't been created yet.
+ */
+exports.stats = function(config) {
+  var pool = pg.pools.all[JSON.stringify(config)];
+  if (pool === null || typeof pool === "undefined") {
+    return null;
+  }
+  var total = pool.getPoolSize();
+  var idle = pool.availableObjectsCount();
+  return {
+    size: config.poolSize,
+    total: total,
+    idle: idle,
+    checkedOut: total - idle,
+    waiting: pool.waitingClientsCount(),
+  };
+};
+
+/*
+ * list returns {name, config, stats} for every defined pool, and every other
+ * pool that's been connected to, sorted by name. Pools that haven't been
+ * connected to yet have zeroes for their stats.
+ */
+exports.list = function() {
+  // Resolving the defined pools records them, and marks the configs they
+  // resolve to now, so a pool that was redefined before it was used isn't
+  // listed.
+  var current = {};
+  Object.keys(defined).forEach(function(name) {
+    current[JSON.stringify(exports.resolve(name).config)] = true;
+  });
+  return Object.keys(resolvedNames).map(function(key) {
+    var config = JSON.parse(key);
+    var stats = exports.stats(config);
+    if (stats === null) {
+      if (!current.hasOwnProperty(key)) {
+        return null;
+      }
+      stats = {size: config.poolSize, total: 0, idle: 0, checkedOut: 0, waiting: 0};
+    }
+    return {name: resolvedNames[key], config: config, stats: stats};
+  }).filter(function(pool) {
+    return pool !== null;
+  }).sort(function(a, b) {
+    return a.name < b.name ? -1 : (a.name > b.name ? 1 : 0);
+  });
+};
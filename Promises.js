@@ -0,0 +1,38 @@
+// Copyright 2015 Shyp, Inc.
+//
+// Helpers for exposing the callback-based interface as Promises.
+
+/*
+ * fromCallback calls fn with a Node-style callback. If the caller passed a
+ * callback (cb), it's handed to fn directly and nothing is returned.
+ * Otherwise fromCallback returns a Promise that resolves or rejects with
+ * whatever fn hits its callback with.
+ */
+exports.fromCallback = function(cb, fn) {
+  if (typeof cb === 'function') {
+    fn(cb);
+    return;
+  }
+  return new Promise(function(resolve, reject) {
+    fn(function(err, result) {
+      if (err) {
+        return reject(err);
+      }
+      resolve(result);
+    });
+  });
+};
+
+/*
+ * fromCallbackQuiet is fromCallback for calls that used to be fire and
+ * forget, like txn.rollback() with no callback. The Promise still rejects for
+ * anyone who waits on it, but if nobody does, the rejection is dropped instead
+ * of crashing the process as an unhandled rejection.
+ */
+exports.fromCallbackQuiet = function(cb, fn) {
+  var promise = exports.fromCallback(cb, fn);
+  if (promise) {
+    promise.catch(function() {});
+  }
+  return promise;
+};
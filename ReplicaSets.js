@@ -0,0 +1,233 @@
+/*
+ * Copyright 2015 Shyp, Inc.
+ *
+ * Read replica routing. A replica set is a primary plus any number of
+ * streaming replicas:
+ *
+ *   DBConnection.defineReplicaSet 'main',
+ *     primary: {host: 'db1'}
+ *     replicas: [{host: 'db2'}, {host: 'db3'}]
+ *     maxLag: 5000
+ *
+ * Pass the set's name to DBConnection.get, begin or transaction. Read-only
+ * work - get with {readOnly: true}, or a READ ONLY transaction - goes to the
+ * replicas in turn; everything else goes to the primary. The primary and
+ * each replica are named pools ('main', 'main:replica1', 'main:replica2'...),
+ * so their metrics are tagged separately.
+ *
+ * A replica that can't be connected to is ejected for retryAfter
+ * milliseconds (30 seconds by default), and the read is retried on the next
+ * replica. If maxLag (milliseconds) is set, every replica's replication lag
+ * is checked every lagCheckInterval milliseconds (5 seconds by default), and
+ * replicas that are further behind than maxLag don't get reads until they
+ * catch up. If no replica is usable, reads go to the primary.
+ */
+var pg = require('pg');
+
+var Metrics = require('./Metrics');
+var Pools = require('./Pools');
+
+var DEFAULT_RETRY_AFTER = 30 * 1000;
+var DEFAULT_LAG_CHECK_INTERVAL = 5 * 1000;
+
+// The replica's lag in milliseconds, or 0 if it has replayed everything it
+// has received (otherwise an idle primary would look like lag). Needs
+// Postgres 10 or later.
+var LAG_QUERY = 'SELECT CASE WHEN pg_last_wal_receive_lsn() = pg_last_wal_replay_lsn() THEN 0 ' +
+  'ELSE EXTRACT(EPOCH FROM now() - pg_last_xact_replay_timestamp()) * 1000 END AS lag';
+
+// name => replica set
+var sets = {};
+
+/*
+ * define registers a replica set; see the top of this file for the options.
+ * Defining a set with the same name replaces it.
+ */
+exports.define = function(name, options) {
+  if (typeof name !== 'string' || name.length === 0) {
+    throw new Error("ReplicaSets: replica set name must be a non-empty string");
+  }
+  if (options === null || typeof options !== 'object') {
+    throw new Error("ReplicaSets: options for replica set " + name + " must be an object");
+  }
+  if (options.primary === null || typeof options.primary !== 'object') {
+    throw new Error("ReplicaSets: replica set " + name + " needs a primary config");
+  }
+  if (!Array.isArray(options.replicas)) {
+    throw new Error("ReplicaSets: replicas for replica set " + name + " must be an array of configs");
+  }
+  if (typeof options.maxLag !== 'undefined' && !(options.maxLag > 0)) {
+    throw new Error("ReplicaSets: maxLag must be a positive number of milliseconds");
+  }
+  // Check every config before defining any pools, so a bad replica doesn't
+  // leave half a set behind.
+  options.replicas.forEach(function(config, i) {
+    if (config === null || typeof config !== 'object') {
+      throw new Error("ReplicaSets: replica " + (i + 1) + " for replica set " + name + " must be a config object");
+    }
+  });
+  Pools.define(name, options.primary);
+  exports.remove(name);
+  var set = {
+    name: name,
+    replicas: [],
+    next: 0,
+    retryAfter: options.retryAfter > 0 ? options.retryAfter : DEFAULT_RETRY_AFTER,
+    maxLag: options.maxLag || null,
+    timer: null,
+  };
+  options.replicas.forEach(function(config, i) {
+    var replicaName = name + ':replica' + (i + 1);
+    Pools.define(replicaName, config);
+    set.replicas.push({
+      name: replicaName,
+      ejectedUntil: 0,
+      lag: null,
+      lagging: false,
+    });
+  });
+  sets[name] = set;
+  if (set.maxLag !== null && set.replicas.length > 0) {
+    set.timer = setInterval(function() {
+      exports.checkLag(name, function() {});
+    }, options.lagCheckInterval > 0 ? options.lagCheckInterval : DEFAULT_LAG_CHECK_INTERVAL);
+    set.timer.unref();
+  }
+};
+
+/*
+ * remove stops routing reads for name to its replicas. The pools stay
+ * defined.
+ */
+exports.remove = function(name) {
+  if (sets.hasOwnProperty(name)) {
+    if (sets[name].timer !== null) {
+      clearInterval(sets[name].timer);
+    }
+    delete sets[name];
+  }
+};
+
+/*
+ * route returns the pool to use for configOrName: the name of a healthy
+ * replica for read-only work on a replica set, or configOrName itself.
+ */
+exports.route = function(configOrName, readOnly) {
+  if (readOnly !== true || typeof configOrName !== 'string' || !sets.hasOwnProperty(configOrName)) {
+    return configOrName;
+  }
+  var set = sets[configOrName];
+  var now = Date.now();
+  var count = set.replicas.length;
+  for (var i = 0; i < count; i++) {
+    var replica = set.replicas[(set.next + i) % count];
+    if (replica.ejectedUntil <= now && !replica.lagging) {
+      set.next = (set.next + i + 1) % count;
+      return replica.name;
+    }
+  }
+  if (count > 0) {
+    Metrics.increment('db.replica.fallback', {pool: set.name});
+  }
+  return set.name;
+};
+
+var findReplica = function(poolName) {
+  var names = Object.keys(sets);
+  for (var i = 0; i < names.length; i++) {
+    var replicas = sets[names[i]].replicas;
+    for (var j = 0; j < replicas.length; j++) {
+      if (replicas[j].name === poolName) {
+        return {set: sets[names[i]], replica: replicas[j]};
+      }
+    }
+  }
+  return null;
+};
+
+/*
+ * isReplica returns true if poolName is a replica in a replica set.
+ */
+exports.isReplica = function(poolName) {
+  return findReplica(poolName) !== null;
+};
+
+/*
+ * eject stops sending reads to the replica poolName for the set's
+ * retryAfter milliseconds.
+ */
+exports.eject = function(poolName) {
+  var found = findReplica(poolName);
+  if (found === null) {
+    return;
+  }
+  found.replica.ejectedUntil = Date.now() + found.set.retryAfter;
+  Metrics.increment('db.replica.ejected', {pool: poolName});
+};
+
+/*
+ * checkLag measures the replication lag of every replica in the set name
+ * that isn't ejected, in db.replica.lag, and marks the ones behind by more
+ * than maxLag. A replica that can't be checked is ejected.
+ */
+exports.checkLag = function(name, cb) {
+  var set = sets[name];
+  if (typeof set === 'undefined' || set.maxLag === null) {
+    return cb(null);
+  }
+  var now = Date.now();
+  var replicas = set.replicas.filter(function(replica) {
+    return replica.ejectedUntil <= now;
+  });
+  var pending = replicas.length;
+  if (pending === 0) {
+    return cb(null);
+  }
+  var done = function() {
+    pending--;
+    if (pending === 0) {
+      cb(null);
+    }
+  };
+  replicas.forEach(function(replica) {
+    pg.connect(Pools.resolve(replica.name).config, function(err, client, release) {
+      if (err) {
+        exports.eject(replica.name);
+        return done();
+      }
+      client.query(LAG_QUERY, function(err, result) {
+        if (err) {
+          release(true);
+          exports.eject(replica.name);
+          return done();
+        }
+        release();
+        replica.lag = Number(result.rows[0].lag);
+        replica.lagging = replica.lag > set.maxLag;
+        Metrics.measure('db.replica.lag', replica.lag, {pool: replica.name});
+        return done();
+      });
+    });
+  });
+};
+
+/*
+ * status returns the state of every replica in the set name: its pool name,
+ * whether it's ejected, its last measured lag (or null), and whether it's
+ * lagging. Returns null if there's no such set.
+ */
+exports.status = function(name) {
+  var set = sets[name];
+  if (typeof set === 'undefined') {
+    return null;
+  }
+  var now = Date.now();
+  return set.replicas.map(function(replica) {
+    return {
+      pool: replica.name,
+      ejected: replica.ejectedUntil > now,
+      lag: replica.lag,
+      lagging: replica.lagging,
+    };
+  });
+};
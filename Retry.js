@@ -0,0 +1,86 @@
+/*
+ * Copyright 2015 Shyp, Inc.
+ *
+ * Retry policy for transactions that Postgres aborts because they conflicted
+ * with another transaction. At SERIALIZABLE or REPEATABLE READ, Postgres
+ * will abort a transaction with a serialization_failure (40001), and at any
+ * level two transactions can deadlock (40P01). The right response to either
+ * is to run the whole transaction again, on a fresh connection.
+ *
+ * Retries are opt-in; pass a `retry` option to DBConnection.transaction:
+ *
+ *   DBConnection.transaction(config, {retry: {maxAttempts: 5}}, fn, cb)
+ *
+ * `retry: true` uses the defaults below.
+ */
+
+var DEFAULT_MAX_ATTEMPTS = 3;
+var DEFAULT_MIN_DELAY = 20;
+var DEFAULT_MAX_DELAY = 1000;
+
+// serialization_failure, deadlock_detected
+var DEFAULT_RETRYABLE_CODES = ['40001', '40P01'];
+
+// Returns value, or fallback if value wasn't given. Zero is a value.
+var withDefault = function(value, fallback) {
+  return value === null || typeof value === "undefined" ? fallback : value;
+};
+
+/*
+ * policy builds a retry policy from the user's options. Returns null if
+ * retries are disabled. Options:
+ *
+ * - maxAttempts: the total number of times to run the transaction,
+ *   including the first attempt.
+ * - minDelay, maxDelay: bounds, in milliseconds, on the exponential backoff
+ *   between attempts. The actual delay is picked at random between 0 and the
+ *   backoff ("full jitter"), so conflicting transactions don't retry in
+ *   lockstep.
+ * - codes: an array of SQLSTATE codes that should be retried.
+ */
+exports.policy = function(opts) {
+  if (opts === null || typeof opts === "undefined" || opts === false) {
+    return null;
+  }
+  if (opts === true) {
+    opts = {};
+  }
+  var policy = {
+    maxAttempts: withDefault(opts.maxAttempts, DEFAULT_MAX_ATTEMPTS),
+    minDelay: withDefault(opts.minDelay, DEFAULT_MIN_DELAY),
+    maxDelay: withDefault(opts.maxDelay, DEFAULT_MAX_DELAY),
+    codes: withDefault(opts.codes, DEFAULT_RETRYABLE_CODES),
+  };
+  if (typeof policy.maxAttempts !== 'number' || Math.floor(policy.maxAttempts) !== policy.maxAttempts) {
+    throw new Error("Retry: maxAttempts must be an integer, got " + policy.maxAttempts);
+  }
+  if (policy.maxAttempts < 1) {
+    throw new Error("Retry: maxAttempts must be at least 1, got " + policy.maxAttempts);
+  }
+  if (!Array.isArray(policy.codes)) {
+    throw new Error("Retry: codes must be an array of SQLSTATE codes, got " + policy.codes);
+  }
+  if (policy.minDelay > policy.maxDelay) {
+    throw new Error("Retry: minDelay (" + policy.minDelay + ") is greater than maxDelay (" + policy.maxDelay + ")");
+  }
+  return policy;
+};
+
+/*
+ * isRetryable returns true if err has one of the policy's SQLSTATE codes.
+ */
+exports.isRetryable = function(policy, err) {
+  if (err === null || typeof err !== "object") {
+    return false;
+  }
+  return policy.codes.indexOf(err.code) !== -1;
+};
+
+/*
+ * delay returns the number of milliseconds to wait before the next attempt,
+ * where attempt is the number of attempts made so far (starting at 1).
+ */
+exports.delay = function(policy, attempt) {
+  var backoff = Math.min(policy.maxDelay, policy.minDelay * Math.pow(2, attempt - 1));
+  return Math.floor(Math.random() * backoff);
+};
@@ -0,0 +1,142 @@
+/*
+ * Copyright 2015 Shyp, Inc.
+ *
+ * Settings - statement_timeout, search_path, custom settings read by
+ * row-level security policies and so on - for a single transaction or
+ * checked out connection.
+ *
+ *   DBConnection.begin config, {settings: {statement_timeout: 5000, 'app.current_user_id': userId}}, cb
+ *
+ * sends BEGIN, then
+ *
+ *   SELECT set_config($1, $2, true), set_config($3, $4, true)
+ *
+ * which is SET LOCAL: the settings last until the transaction commits or
+ * rolls back, so they never leak onto the next user of the connection. A
+ * nested transaction inside an ambient transaction or a test transaction is
+ * a savepoint, and SET LOCAL would last until the outer transaction ends, so
+ * the outer transaction's values are read first (currentStatement) and put
+ * back when the nested transaction commits or rolls back
+ * (restoreStatement).
+ *
+ * DBConnection.get takes the same option, and sets the settings for the
+ * session; they're RESET before the connection goes back to the pool. A
+ * connection that shares an outer transaction (an ambient transaction or a
+ * test transaction) can't change the session, so there they're SET LOCAL,
+ * and put back to what they were in the outer transaction when the
+ * connection is released.
+ *
+ * Names are setting names, like lock_timeout, or custom settings with a
+ * prefix, like app.current_user_id. Values are strings, numbers (timeouts
+ * are in milliseconds), booleans, or arrays of names, which are quoted as
+ * identifiers and joined with commas, for search_path. Values are always
+ * sent as query parameters.
+ */
+
+var NAME = /^[a-zA-Z_][a-zA-Z0-9_]*(\.[a-zA-Z_][a-zA-Z0-9_]*)?$/;
+
+/*
+ * parse validates settings (an object mapping setting names to values) and
+ * returns a copy with every value as the string that will be sent, or null if
+ * settings is null or undefined. Throws an error for invalid names or values,
+ * so they're rejected before anything is sent to the database.
+ */
+exports.parse = function(settings) {
+  if (settings === null || typeof settings === "undefined") {
+    return null;
+  }
+  if (typeof settings !== 'object' || Array.isArray(settings)) {
+    throw new Error("Settings: settings should be an object mapping setting names to values");
+  }
+  var parsed = {};
+  Object.keys(settings).forEach(function(name) {
+    if (!NAME.test(name)) {
+      throw new Error("Settings: Invalid setting name " + JSON.stringify(name));
+    }
+    parsed[name] = formatValue(name, settings[name]);
+  });
+  if (Object.keys(parsed).length === 0) {
+    return null;
+  }
+  return parsed;
+};
+
+var formatValue = function(name, value) {
+  if (typeof value === 'string') {
+    if (value.indexOf('\u0000') !== -1) {
+      throw new Error("Settings: Value for " + name + " can't contain a NUL character");
+    }
+    return value;
+  }
+  if (typeof value === 'number' && isFinite(value)) {
+    return String(value);
+  }
+  if (typeof value === 'boolean') {
+    return value ? 'on' : 'off';
+  }
+  if (Array.isArray(value) && value.length > 0) {
+    return value.map(function(item) {
+      if (typeof item !== 'string' || item === '' || item.indexOf('\u0000') !== -1) {
+        throw new Error("Settings: Every item in the list for " + name + " should be a non-empty string");
+      }
+      return '"' + item.replace(/"/g, '""') + '"';
+    }).join(', ');
+  }
+  throw new Error("Settings: Invalid value for " + name + ": " + JSON.stringify(value) +
+    ", should be a string, a number, a boolean or a non-empty array of strings");
+};
+
+/*
+ * setStatement returns the query that applies parsed settings: with
+ * local=true for the current transaction only (SET LOCAL), otherwise for the
+ * session.
+ */
+exports.setStatement = function(parsed, local) {
+  var values = [];
+  var calls = Object.keys(parsed).map(function(name) {
+    values.push(name, parsed[name]);
+    return 'set_config($' + (values.length - 1) + ', $' + values.length + ', ' + (local ? 'true' : 'false') + ')';
+  });
+  return {text: 'SELECT ' + calls.join(', '), values: values};
+};
+
+/*
+ * resetStatement returns the statement that puts parsed settings back to
+ * their defaults for the session. The names have been validated by parse, so
+ * they're safe to put in the query.
+ */
+exports.resetStatement = function(parsed) {
+  return Object.keys(parsed).map(function(name) {
+    return 'RESET ' + name;
+  }).join('; ');
+};
+
+/*
+ * currentStatement returns the query that reads the current values of the
+ * parsed settings, as one row keyed by name. A custom setting that hasn't
+ * been set reads as NULL. The names have been validated by parse, so they're
+ * safe to use as column names.
+ */
+exports.currentStatement = function(parsed) {
+  var values = [];
+  var columns = Object.keys(parsed).map(function(name) {
+    values.push(name);
+    return 'current_setting($' + values.length + ', true) AS "' + name + '"';
+  });
+  return {text: 'SELECT ' + columns.join(', '), values: values};
+};
+
+/*
+ * restoreStatement returns the query that puts back, for the current
+ * transaction, the values parsed settings had in previous (a row read with
+ * currentStatement). A setting missing from previous, or NULL, is reset to
+ * its default.
+ */
+exports.restoreStatement = function(parsed, previous) {
+  var restored = {};
+  Object.keys(parsed).forEach(function(name) {
+    var value = previous ? previous[name] : null;
+    restored[name] = (value === null || typeof value === "undefined") ? null : value;
+  });
+  return exports.setStatement(restored, true);
+};
@@ -0,0 +1,378 @@
+/*
+ * Copyright 2015 Shyp, Inc.
+ *
+ * A SharedConnection lets every DBConnection.get and begin share one real
+ * client that's already inside a transaction, using savepoints so that code
+ * written for separate connections behaves the same way:
+ *
+ * - BEGIN becomes SAVEPOINT, COMMIT becomes RELEASE SAVEPOINT, and ROLLBACK
+ *   becomes ROLLBACK TO SAVEPOINT (then RELEASE SAVEPOINT). The transaction
+ *   mode (isolation level and so on) can't be changed inside a transaction,
+ *   so it's ignored.
+ * - A statement outside a transaction runs in a savepoint of its own, so if
+ *   it fails only it is undone - just like autocommit.
+ * - Releasing a connection whose transaction is still open (say, because a
+ *   query failed) rolls back to its savepoint.
+ *
+ * Statements are sent one at a time, in order, so a statement and the
+ * savepoint commands around it can't be split by another connection's. Code
+ * that runs two transactions at once on separate connections can still see
+ * their savepoints nest in ways separate connections wouldn't, so it may not
+ * behave exactly as it would against a real pool.
+ *
+ * Code that owns the real client's transaction should send its own
+ * statements through the client outer() returns, so they wait their turn
+ * too; otherwise one could run inside another connection's savepoint, and be
+ * undone when that savepoint is rolled back.
+ *
+ * Once the outer client's COMMIT, ROLLBACK or PREPARE TRANSACTION has run -
+ * or the owner calls close - the SharedConnection is closed: the real client
+ * may be back in the pool, so statements still queued, and any sent after,
+ * fail with an Errors.InvalidStateError instead of reaching it, and every
+ * connection still checked out is told so through its onClose callback.
+ *
+ * Testing.js uses this to run each test inside one outer transaction, and
+ * Ambient.js to run nested calls inside the current transaction.
+ */
+
+var Errors = require('./Errors');
+
+// The source DBConnection.get checks out from instead of the pool, or null.
+var current = null;
+
+/*
+ * current returns the source that DBConnection.get and begin should use
+ * instead of the pool: an object with a checkout(onClose) method returning
+ * {client, release}. Returns null if connections should come from the pool.
+ */
+exports.current = function() {
+  return current;
+};
+
+/*
+ * use makes DBConnection.get and begin check out from source instead of the
+ * pool. Pass null to go back to the pool.
+ */
+exports.use = function(source) {
+  current = source;
+};
+
+var BEGIN = /^\s*BEGIN\b/i;
+var COMMIT = /^\s*(COMMIT|END)\b/i;
+var ROLLBACK = /^\s*(ROLLBACK|ABORT)\s*(;\s*)?$/i;
+var PREPARE = /^\s*PREPARE\s+TRANSACTION\b/i;
+
+var noop = function() {};
+
+var closedError = function() {
+  return new Errors.InvalidStateError("SharedConnection: Can't query a connection whose outer transaction has already finished");
+};
+
+/*
+ * SharedConnection wraps client, a node-postgres client that's already in a
+ * transaction.
+ */
+var SharedConnection = function(client) {
+  this.client = client;
+  this._queue = [];
+  this._running = false;
+  this._savepointCount = 0;
+  // The checked out clients that haven't been released yet.
+  this._checkedOut = [];
+  this._closed = false;
+};
+
+exports.SharedConnection = SharedConnection;
+
+/*
+ * checkout returns {client, release}: a client for one DBConnection, and
+ * the function to release it with. onClose is optional; it's called with an
+ * error if the SharedConnection is closed before the client is released.
+ */
+SharedConnection.prototype.checkout = function(onClose) {
+  var that = this;
+  var proxy = new ProxyClient(this);
+  proxy._onClose = onClose || noop;
+  this._checkedOut.push(proxy);
+  return {
+    client: proxy,
+    // Disposing of the real client would end everyone's transaction, so
+    // dispose is ignored; what this connection left open is rolled back.
+    release: function(dispose) {
+      var i = that._checkedOut.indexOf(proxy);
+      if (i !== -1) {
+        that._checkedOut.splice(i, 1);
+      }
+      proxy._release();
+    },
+  };
+};
+
+/*
+ * outer returns a client for the code that owns the real client's
+ * transaction. Its statements go to the real client as they are - no
+ * savepoints - but in turn with every checked out client's.
+ */
+SharedConnection.prototype.outer = function() {
+  var proxy = new ProxyClient(this);
+  proxy._outer = true;
+  return proxy;
+};
+
+/*
+ * close marks the real client's transaction as finished: queued statements
+ * fail, and so does everything sent from now on, and the checked out
+ * clients' onClose callbacks are called. Closing twice does nothing.
+ */
+SharedConnection.prototype.close = function() {
+  if (this._closed) {
+    return;
+  }
+  this._closed = true;
+  var queue = this._queue;
+  this._queue = [];
+  queue.forEach(function(entry) {
+    entry.fail(closedError());
+  });
+  var checkedOut = this._checkedOut;
+  this._checkedOut = [];
+  checkedOut.forEach(function(proxy) {
+    proxy._onClose(closedError());
+  });
+};
+
+SharedConnection.prototype._nextSavepoint = function() {
+  this._savepointCount++;
+  return '"shared_sp_' + this._savepointCount + '"';
+};
+
+/*
+ * _run runs fn(done) once everything queued before it has called done. If
+ * the SharedConnection is closed first, fn never runs, and fail is called
+ * with the error instead.
+ */
+SharedConnection.prototype._run = function(fn, fail) {
+  fail = fail || noop;
+  if (this._closed) {
+    process.nextTick(function() {
+      fail(closedError());
+    });
+    return;
+  }
+  this._queue.push({run: fn, fail: fail});
+  this._next();
+};
+
+SharedConnection.prototype._next = function() {
+  if (this._running || this._queue.length === 0) {
+    return;
+  }
+  this._running = true;
+  var that = this;
+  var entry = this._queue.shift();
+  entry.run(function() {
+    that._running = false;
+    that._next();
+  });
+};
+
+/*
+ * _sequence runs the statements in order on the real client, stopping at the
+ * first error, and hits the callback with the error or the last result.
+ */
+SharedConnection.prototype._sequence = function(statements, cb) {
+  var client = this.client;
+  var results = null;
+  var runNext = function(i) {
+    if (i === statements.length) {
+      return cb(null, results);
+    }
+    client.query(statements[i], function(err, res) {
+      if (err) {
+        return cb(err);
+      }
+      results = res;
+      runNext(i + 1);
+    });
+  };
+  runNext(0);
+};
+
+/*
+ * _pipeline sends all the statements at once, so nothing else on the client
+ * can get between them, and hits the callback with the first error once
+ * they've all finished.
+ */
+SharedConnection.prototype._pipeline = function(statements, cb) {
+  var pending = statements.length;
+  var firstErr = null;
+  var client = this.client;
+  statements.forEach(function(statement) {
+    client.query(statement, function(err) {
+      if (err && firstErr === null) {
+        firstErr = err;
+      }
+      pending--;
+      if (pending === 0) {
+        cb(firstErr);
+      }
+    });
+  });
+};
+
+/*
+ * send sends sql to client and hits the callback when it's finished.
+ * Streaming queries, like COPY (see Copy.js), are objects with a submit
+ * method; node-postgres doesn't call a callback for those, so wait for them
+ * to fail or for the client to be ready for the next query.
+ */
+var send = function(client, sql, values, cb) {
+  if (sql === null || typeof sql !== 'object' || typeof sql.submit !== 'function') {
+    return client.query(sql, values, cb);
+  }
+  var handleError = sql.handleError;
+  var handleReadyForQuery = sql.handleReadyForQuery;
+  sql.handleError = function(err) {
+    handleError.apply(sql, arguments);
+    cb(err);
+  };
+  sql.handleReadyForQuery = function() {
+    handleReadyForQuery.apply(sql, arguments);
+    cb(null);
+  };
+  return client.query(sql);
+};
+
+/*
+ * ProxyClient looks enough like a node-postgres client for DBConnection:
+ * query, plus the fields pg.cancel needs.
+ */
+var ProxyClient = function(shared) {
+  this._shared = shared;
+  // The savepoint standing in for this client's transaction, or null if it
+  // isn't in one.
+  this._savepoint = null;
+  this._active = null;
+  // True for the client outer() returns.
+  this._outer = false;
+  this._onClose = noop;
+};
+
+['processID', 'secretKey', 'queryQueue', 'host', 'port'].forEach(function(field) {
+  Object.defineProperty(ProxyClient.prototype, field, {
+    get: function() {
+      return this._shared.client[field];
+    },
+  });
+});
+
+// pg.cancel only cancels the query if it's the client's active query.
+Object.defineProperty(ProxyClient.prototype, 'activeQuery', {
+  get: function() {
+    var active = this._shared.client.activeQuery;
+    if (this._active !== null && this._active.query === active) {
+      return this._active;
+    }
+    return active;
+  },
+});
+
+ProxyClient.prototype.query = function(sql, values, cb) {
+  if (typeof values === 'function') {
+    cb = values;
+    values = [];
+  }
+  // Streaming queries (see send) don't take a callback.
+  cb = cb || function() {};
+  var that = this;
+  var shared = this._shared;
+  var text = (sql !== null && typeof sql === 'object') ? sql.text : sql;
+  var handle = {query: null};
+  shared._run(function(done) {
+    var finish = function(err, res) {
+      that._active = null;
+      done();
+      cb(err || null, res);
+    };
+    if (that._outer) {
+      that._active = handle;
+      handle.query = send(shared.client, sql, values, function(err, res) {
+        if (COMMIT.test(text) || ROLLBACK.test(text) || PREPARE.test(text)) {
+          // Whether it worked or not, the transaction is over.
+          shared.close();
+        }
+        finish(err, res);
+      });
+      return;
+    }
+    if (that._savepoint === null && BEGIN.test(text)) {
+      that._savepoint = shared._nextSavepoint();
+      return shared._sequence(['SAVEPOINT ' + that._savepoint], finish);
+    }
+    if (that._savepoint !== null && COMMIT.test(text)) {
+      // If RELEASE fails the connection gets released, which rolls back to
+      // the savepoint.
+      return shared._sequence(['RELEASE SAVEPOINT ' + that._savepoint], function(err, res) {
+        if (!err) {
+          that._savepoint = null;
+        }
+        finish(err, res);
+      });
+    }
+    if (that._savepoint !== null && ROLLBACK.test(text)) {
+      var savepoint = that._savepoint;
+      that._savepoint = null;
+      return shared._sequence(['ROLLBACK TO SAVEPOINT ' + savepoint, 'RELEASE SAVEPOINT ' + savepoint], finish);
+    }
+    if (that._savepoint !== null) {
+      that._active = handle;
+      handle.query = send(shared.client, sql, values, finish);
+      return;
+    }
+    // Outside a transaction: give the statement a savepoint of its own.
+    var own = shared._nextSavepoint();
+    shared.client.query('SAVEPOINT ' + own, function(err) {
+      if (err) {
+        return finish(err);
+      }
+      that._active = handle;
+      handle.query = send(shared.client, sql, values, function(err, res) {
+        that._active = null;
+        if (err) {
+          return shared._sequence(['ROLLBACK TO SAVEPOINT ' + own, 'RELEASE SAVEPOINT ' + own], function() {
+            finish(err);
+          });
+        }
+        shared._sequence(['RELEASE SAVEPOINT ' + own], function(releaseErr) {
+          finish(releaseErr, res);
+        });
+      });
+    });
+  }, function(err) {
+    if (sql !== null && typeof sql === 'object' && typeof sql.handleError === 'function') {
+      // Fail the stream, as node-postgres would.
+      sql.handleError(err);
+    }
+    cb(err);
+  });
+  return handle;
+};
+
+/*
+ * _release rolls back the client's transaction, if it's still open.
+ */
+ProxyClient.prototype._release = function() {
+  if (this._savepoint === null) {
+    return;
+  }
+  var savepoint = this._savepoint;
+  this._savepoint = null;
+  var shared = this._shared;
+  shared._run(function(done) {
+    // Pipelined, so that the statements go out before whatever the code that
+    // released this connection does next.
+    shared._pipeline(['ROLLBACK TO SAVEPOINT ' + savepoint, 'RELEASE SAVEPOINT ' + savepoint], function() {
+      done();
+    });
+  });
+};
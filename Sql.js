@@ -0,0 +1,181 @@
+/*
+ * Copyright 2015 Shyp, Inc.
+ *
+ * A tagged template for building queries without counting placeholders:
+ *
+ *   sql = require('./Sql').sql
+ *
+ *   conn.query sql"SELECT * FROM pickups WHERE driver_id = #{driverId} AND state IN (#{states})"
+ *
+ * sends `SELECT * FROM pickups WHERE driver_id = $1 AND state IN ($2, $3)`
+ * with the values as parameters. Every interpolated value becomes a
+ * parameter, except:
+ *
+ * - another sql fragment, which is spliced in with its parameters
+ *   renumbered, so queries can be built from pieces:
+ *
+ *     where = if driverId? then sql"WHERE driver_id = #{driverId}" else Sql.empty
+ *     conn.query sql"SELECT * FROM pickups #{where}"
+ *
+ * - an array, which becomes a comma-separated list of parameters. An array
+ *   inside the array becomes a parenthesized list, for VALUES. Wrap an array
+ *   in Sql.param to send it as a single Postgres array parameter instead.
+ *
+ * Identifiers are quoted with Sql.identifier. There's no way to put a string
+ * into the query text as it is, except Sql.unsafeRaw, which is only for text
+ * that can't come from a user.
+ *
+ * The result is a Query with `text` and `values`, which conn.query,
+ * txn.query, savepoint.query and cursor accept in place of a SQL string.
+ */
+
+/*
+ * Query is a piece of SQL and its parameters. It isn't exported, so the only
+ * way to put text into a query as it is is unsafeRaw.
+ */
+var Query = function(parts) {
+  // Strings of SQL, and {value: v} for each parameter.
+  this._parts = parts;
+  var values = [];
+  this.text = parts.map(function(part) {
+    if (typeof part === 'string') {
+      return part;
+    }
+    values.push(part.value);
+    return '$' + values.length;
+  }).join('');
+  this.values = values;
+};
+
+/*
+ * isQuery returns true if value was made by sql (or identifier, join...).
+ */
+exports.isQuery = function(value) {
+  return value instanceof Query;
+};
+
+// A value to send as one parameter, even if it's an array.
+var Param = function(value) {
+  this.value = value;
+};
+
+/*
+ * Appends the parts for an interpolated value to parts.
+ */
+var append = function(parts, value) {
+  if (value instanceof Query) {
+    Array.prototype.push.apply(parts, value._parts);
+    return;
+  }
+  if (value instanceof Param) {
+    parts.push({value: value.value});
+    return;
+  }
+  if (typeof value === 'undefined') {
+    throw new Error("Sql: Can't interpolate undefined; use null for NULL");
+  }
+  if (Array.isArray(value)) {
+    if (value.length === 0) {
+      throw new Error("Sql: Can't interpolate an empty array, because () isn't valid SQL");
+    }
+    value.forEach(function(item, i) {
+      if (i > 0) {
+        parts.push(', ');
+      }
+      if (Array.isArray(item)) {
+        parts.push('(');
+        append(parts, item);
+        parts.push(')');
+        return;
+      }
+      append(parts, item);
+    });
+    return;
+  }
+  parts.push({value: value});
+};
+
+/*
+ * sql is the template tag; see the top of this file. Throws if it's called
+ * as a function instead of a tag, since the strings would already have the
+ * values concatenated into them.
+ */
+exports.sql = function(strings) {
+  if (!Array.isArray(strings) || !Array.isArray(strings.raw)) {
+    throw new Error("Sql: sql must be used as a template tag, like sql`SELECT 1`, not called with a string");
+  }
+  var parts = [];
+  for (var i = 0; i < strings.length; i++) {
+    if (strings[i] !== '') {
+      parts.push(strings[i]);
+    }
+    if (i + 1 < arguments.length) {
+      append(parts, arguments[i + 1]);
+    }
+  }
+  return new Query(parts);
+};
+
+/*
+ * identifier returns a quoted identifier: identifier('users') is "users",
+ * and identifier('public', 'users') is "public"."users".
+ */
+exports.identifier = function() {
+  if (arguments.length === 0) {
+    throw new Error("Sql: identifier needs at least one name");
+  }
+  var names = Array.prototype.map.call(arguments, function(name) {
+    if (typeof name !== 'string' || name === '' || name.indexOf('\u0000') !== -1) {
+      throw new Error("Sql: Invalid identifier " + JSON.stringify(name) + ", should be a non-empty string");
+    }
+    return '"' + name.replace(/"/g, '""') + '"';
+  });
+  return new Query([names.join('.')]);
+};
+
+/*
+ * join returns the items (fragments or values) joined with separator, a
+ * fragment, which defaults to sql`, `. Throws for an empty array; use
+ * Sql.empty if there's nothing to join.
+ */
+exports.join = function(items, separator) {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new Error("Sql: join needs a non-empty array");
+  }
+  if (typeof separator === 'undefined') {
+    separator = new Query([', ']);
+  }
+  if (!(separator instanceof Query)) {
+    throw new Error("Sql: join's separator must be a sql fragment, like sql` AND `");
+  }
+  var parts = [];
+  items.forEach(function(item, i) {
+    if (i > 0) {
+      append(parts, separator);
+    }
+    append(parts, item);
+  });
+  return new Query(parts);
+};
+
+/*
+ * param sends value as a single parameter, without expanding it if it's an
+ * array: sql`WHERE id = ANY(${Sql.param(ids)})`.
+ */
+exports.param = function(value) {
+  return new Param(value);
+};
+
+/*
+ * unsafeRaw puts text into the query as it is, with no escaping. Never pass
+ * it anything that could come from a user.
+ */
+exports.unsafeRaw = function(text) {
+  if (typeof text !== 'string') {
+    throw new Error("Sql: unsafeRaw needs a string");
+  }
+  return new Query([text]);
+};
+
+// An empty fragment, for optional clauses.
+exports.empty = new Query([]);
@@ -0,0 +1,249 @@
+/*
+ * Copyright 2015 Shyp, Inc.
+ *
+ * Helpers for testing code that uses DBConnection.
+ *
+ * Transaction per test
+ * --------------------
+ *
+ * Wrap each test in one outer transaction that's always rolled back, so
+ * tests don't leave data behind for the next one:
+ *
+ *   Testing = require './Testing'
+ *
+ *   describe 'pickups', ->
+ *     Testing.transactionPerTest(config)
+ *
+ * transactionPerTest adds beforeEach and afterEach hooks that call begin and
+ * rollback; call them yourself if you're not using mocha. In between, every
+ * DBConnection.get and begin shares the outer transaction's connection,
+ * using savepoints (see SharedConnection.js), so the code under test behaves
+ * as it would with a pool, but nothing it does is committed. rollback waits
+ * for statements the code under test has already sent.
+ *
+ * Fake client
+ * -----------
+ *
+ * For unit tests that shouldn't need a database at all, Testing.fake()
+ * makes DBConnection.get and begin return connections on an in-memory
+ * client that records every query and answers with scripted results:
+ *
+ *   fake = Testing.fake()
+ *   fake.on /FROM photos/, rows: [{id: 'pho_123'}]
+ *   fake.on /INSERT INTO photos/, new Error('boom')
+ *   ... # run the code under test
+ *   fake.queries # [{text: 'BEGIN', values: []}, ...]
+ *   fake.restore()
+ */
+var DBConnection = require('./DBConnection');
+var SharedConnection = require('./SharedConnection');
+
+// The connection the current test's transaction is running on.
+var outer = null;
+
+/*
+ * begin checks out a connection for config, begins the outer transaction,
+ * and routes DBConnection.get and begin through it.
+ */
+exports.begin = function(config, cb) {
+  if (outer !== null) {
+    return cb(new Error("Testing: A test transaction is already open; call Testing.rollback first"));
+  }
+  DBConnection.get(config, function(err, conn) {
+    if (err) {
+      return cb(err);
+    }
+    conn.query('BEGIN', function(err) {
+      if (err) {
+        return cb(err);
+      }
+      var shared = new SharedConnection.SharedConnection(conn.client);
+      // The ROLLBACK waits its turn behind the code under test's statements.
+      conn.client = shared.outer();
+      outer = conn;
+      SharedConnection.use(shared);
+      return cb(null);
+    });
+  });
+};
+
+/*
+ * rollback rolls back the outer transaction and goes back to checking out
+ * connections from the pool.
+ */
+exports.rollback = function(cb) {
+  if (outer === null) {
+    return cb(null);
+  }
+  var conn = outer;
+  outer = null;
+  SharedConnection.use(null);
+  conn.query('ROLLBACK', function(err) {
+    conn.release(true);
+    return cb(err || null);
+  });
+};
+
+/*
+ * transactionPerTest adds mocha beforeEach and afterEach hooks that wrap
+ * every test in the enclosing describe block in a rolled back transaction.
+ */
+exports.transactionPerTest = function(config) {
+  beforeEach(function(done) {
+    exports.begin(config, done);
+  });
+  afterEach(function(done) {
+    exports.rollback(done);
+  });
+};
+
+/*
+ * FakeClient stands in for a node-postgres client. Queries are recorded in
+ * `queries` and answered, on the next tick, by the first matching script
+ * added with `on`, or with an empty result.
+ */
+var FakeClient = function() {
+  this.queries = [];
+  this._scripts = [];
+  this.processID = null;
+  this.secretKey = null;
+  this.activeQuery = null;
+  this.queryQueue = [];
+};
+
+exports.FakeClient = FakeClient;
+
+/*
+ * on scripts the answer to queries matching match: a string (compared with
+ * the query text, ignoring surrounding whitespace), a RegExp, or a function
+ * called with (text, values). result is a node-postgres result (rows is
+ * enough), an Error to fail the query with, or a function called with (text,
+ * values) that returns either. Scripts added later take precedence. Pass
+ * {times: n} to use a script only n times.
+ */
+FakeClient.prototype.on = function(match, result, options) {
+  options = options || {};
+  this._scripts.unshift({
+    match: match,
+    result: result,
+    remaining: options.times > 0 ? options.times : Infinity,
+  });
+  return this;
+};
+
+FakeClient.prototype.query = function(sql, values, cb) {
+  if (sql !== null && typeof sql === 'object' && typeof sql.submit === 'function') {
+    return this._submit(sql);
+  }
+  if (typeof values === 'function') {
+    cb = values;
+    values = [];
+  }
+  var text = (sql !== null && typeof sql === 'object') ? sql.text : sql;
+  values = values || [];
+  this.queries.push({text: text, values: values});
+  var result = this._answer(text, values);
+  var query = {text: text};
+  setImmediate(function() {
+    if (result instanceof Error) {
+      return cb(result);
+    }
+    return cb(null, result);
+  });
+  return query;
+};
+
+/*
+ * _submit answers a streaming query, like COPY (see Copy.js). Data written
+ * to a COPY FROM is ignored; a COPY TO sends the result's rows, which should
+ * be lines of text. The result's rowCount is the query's rowCount.
+ */
+FakeClient.prototype._submit = function(query) {
+  this.queries.push({text: query.text, values: []});
+  var result = this._answer(query.text, []);
+  setImmediate(function() {
+    if (result instanceof Error) {
+      return query.handleError(result);
+    }
+    if (/\bTO\s+STDOUT\b/i.test(query.text)) {
+      result.rows.forEach(function(row) {
+        query.push(row);
+      });
+      query.push(null);
+    }
+    query.rowCount = result.rowCount;
+    query.handleReadyForQuery();
+  });
+  return query;
+};
+
+FakeClient.prototype._answer = function(text, values) {
+  for (var i = 0; i < this._scripts.length; i++) {
+    var script = this._scripts[i];
+    if (script.remaining > 0 && matches(script.match, text, values)) {
+      script.remaining--;
+      var result = typeof script.result === 'function' ? script.result(text, values) : script.result;
+      return normalizeResult(result, text);
+    }
+  }
+  return normalizeResult({}, text);
+};
+
+var matches = function(match, text, values) {
+  if (match instanceof RegExp) {
+    return match.test(text);
+  }
+  if (typeof match === 'function') {
+    return match(text, values) === true;
+  }
+  return String(match).trim() === String(text).trim();
+};
+
+var normalizeResult = function(result, text) {
+  if (result instanceof Error) {
+    return result;
+  }
+  result = result || {};
+  var rows = result.rows || [];
+  return {
+    command: result.command || String(text).trim().split(/\s+/)[0].toUpperCase(),
+    rowCount: typeof result.rowCount === 'number' ? result.rowCount : rows.length,
+    rows: rows,
+    fields: result.fields || [],
+  };
+};
+
+/*
+ * reset forgets the recorded queries and the scripts.
+ */
+FakeClient.prototype.reset = function() {
+  this.queries = [];
+  this._scripts = [];
+};
+
+/*
+ * fake makes DBConnection.get and begin use a new FakeClient, and returns
+ * it. Call its restore method to go back to the pool. `released` counts the
+ * connections that have been released.
+ */
+exports.fake = function() {
+  var client = new FakeClient();
+  client.released = 0;
+  client.restore = function() {
+    if (SharedConnection.current() === source) {
+      SharedConnection.use(null);
+    }
+  };
+  var source = {
+    checkout: function() {
+      return {
+        client: client,
+        release: function() {
+          client.released++;
+        },
+      };
+    },
+  };
+  SharedConnection.use(source);
+  return client;
+};
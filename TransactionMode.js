@@ -0,0 +1,95 @@
+/*
+ * Copyright 2015 Shyp, Inc.
+ *
+ * Transaction modes - isolation level, access mode and deferrability - for
+ * DBConnection.begin.
+ *
+ *   DBConnection.begin(config, {isolationLevel: 'SERIALIZABLE', readOnly: true, deferrable: true}, cb)
+ *
+ * sends
+ *
+ *   BEGIN ISOLATION LEVEL SERIALIZABLE READ ONLY DEFERRABLE
+ *
+ * Any option that's left off uses the server's default. See
+ * http://www.postgresql.org/docs/9.3/static/sql-set-transaction.html for what
+ * each of them does.
+ */
+
+var ISOLATION_LEVELS = ['READ COMMITTED', 'REPEATABLE READ', 'SERIALIZABLE'];
+
+/*
+ * parse validates the options passed to begin, and returns the transaction
+ * mode they describe: an object with isolationLevel (one of the levels above,
+ * or null for the server default), readOnly (true, false or null) and
+ * deferrable (true, false or null). Throws an error for invalid options or
+ * combinations, so they're rejected before anything is sent to the database.
+ */
+exports.parse = function(options) {
+  options = options || {};
+  var mode = {
+    isolationLevel: null,
+    readOnly: null,
+    deferrable: null,
+  };
+
+  if (options.isolationLevel !== null && typeof options.isolationLevel !== "undefined") {
+    var level = String(options.isolationLevel).toUpperCase().replace(/[_\s]+/g, ' ');
+    if (ISOLATION_LEVELS.indexOf(level) === -1) {
+      throw new Error("TransactionMode: Invalid isolation level " + JSON.stringify(options.isolationLevel) +
+        ", should be one of " + ISOLATION_LEVELS.join(', '));
+    }
+    mode.isolationLevel = level;
+  }
+
+  if (options.readOnly !== null && typeof options.readOnly !== "undefined") {
+    if (typeof options.readOnly !== 'boolean') {
+      throw new Error("TransactionMode: readOnly should be a boolean, got " + JSON.stringify(options.readOnly));
+    }
+    mode.readOnly = options.readOnly;
+  }
+
+  if (options.deferrable !== null && typeof options.deferrable !== "undefined") {
+    if (typeof options.deferrable !== 'boolean') {
+      throw new Error("TransactionMode: deferrable should be a boolean, got " + JSON.stringify(options.deferrable));
+    }
+    // Postgres accepts DEFERRABLE for any transaction, but it only has an
+    // effect on SERIALIZABLE READ ONLY ones; anywhere else it's a mistake.
+    if (options.deferrable === true && (mode.isolationLevel !== 'SERIALIZABLE' || mode.readOnly !== true)) {
+      throw new Error("TransactionMode: deferrable transactions must be SERIALIZABLE and READ ONLY");
+    }
+    mode.deferrable = options.deferrable;
+  }
+  return mode;
+};
+
+/*
+ * beginStatement returns the BEGIN statement for the given mode.
+ */
+exports.beginStatement = function(mode) {
+  var parts = ['BEGIN'];
+  if (mode.isolationLevel !== null) {
+    parts.push('ISOLATION LEVEL ' + mode.isolationLevel);
+  }
+  if (mode.readOnly !== null) {
+    parts.push(mode.readOnly ? 'READ ONLY' : 'READ WRITE');
+  }
+  if (mode.deferrable !== null) {
+    parts.push(mode.deferrable ? 'DEFERRABLE' : 'NOT DEFERRABLE');
+  }
+  return parts.join(' ');
+};
+
+/*
+ * tags returns metric tags describing the mode, e.g.
+ * {isolation: 'serializable', access: 'read_only'}.
+ */
+exports.tags = function(mode) {
+  var tags = {
+    isolation: mode.isolationLevel === null ? 'default' : mode.isolationLevel.toLowerCase().replace(/ /g, '_'),
+    access: mode.readOnly === null ? 'default' : (mode.readOnly ? 'read_only' : 'read_write'),
+  };
+  if (mode.deferrable === true) {
+    tags.deferrable = 'true';
+  }
+  return tags;
+};
@@ -0,0 +1,148 @@
+/*
+ * Copyright 2015 Shyp, Inc.
+ *
+ * Two-phase commit across databases. txn.commit can only make one
+ * database's changes atomic; to update orders and billing together, do the
+ * work in a transaction on each, then hand them to TwoPhase.commit:
+ *
+ *   TwoPhase.commit [ordersTxn, billingTxn], 'order-' + orderId, (err) ->
+ *     # Either both transactions committed, or both rolled back
+ *
+ * Phase one prepares every transaction (txn.prepare), under the gid plus
+ * the transaction's index ('order-123:0', 'order-123:1'). If any of them
+ * fails to prepare, the ones that did are rolled back with
+ * DBConnection.rollbackPrepared, and the callback gets the prepare error.
+ * Phase two commits them all with DBConnection.commitPrepared.
+ *
+ * Each transaction's afterCommit hooks run once its COMMIT PREPARED
+ * succeeds, and its afterRollback hooks once its ROLLBACK PREPARED does,
+ * before the callback. A transaction left prepared runs neither.
+ *
+ * If the process dies between the phases, or a commit or rollback of a
+ * prepared transaction fails, some prepared transactions are left behind,
+ * holding their locks. The callback gets an Errors.TwoPhaseCommitError
+ * listing them in `unresolved`; find them later with
+ * DBConnection.listPrepared, and finish them with commitPrepared (if any of
+ * their siblings committed) or rollbackPrepared.
+ *
+ * The databases need max_prepared_transactions set above zero.
+ */
+var DBConnection = require('./DBConnection');
+var DBTransaction = require('./DBTransaction');
+var Errors = require('./Errors');
+var Metrics = require('./Metrics');
+var Promises = require('./Promises');
+
+/*
+ * Calls fn(item, i, cb) for every item at once, and hits the callback with
+ * an array of {err, result} once they've all finished.
+ */
+var each = function(items, fn, cb) {
+  var results = new Array(items.length);
+  var pending = items.length;
+  if (pending === 0) {
+    return cb(results);
+  }
+  items.forEach(function(item, i) {
+    fn(item, i, function(err, result) {
+      results[i] = {err: err || null, result: result};
+      pending--;
+      if (pending === 0) {
+        cb(results);
+      }
+    });
+  });
+};
+
+/*
+ * commit prepares and then commits every transaction in txns, or rolls all
+ * of them back. gid is the global identifier to prepare them under; it
+ * should be unique to this unit of work. Returns a Promise if no callback
+ * is given.
+ */
+exports.commit = function(txns, gid, cb) {
+  return Promises.fromCallback(cb, function(cb) {
+    if (!Array.isArray(txns) || txns.length === 0) {
+      return cb(new Error("TwoPhase: commit needs a non-empty array of transactions"));
+    }
+    for (var i = 0; i < txns.length; i++) {
+      if (!(txns[i] instanceof DBTransaction)) {
+        return cb(new Error("TwoPhase: commit needs DBTransactions, got " + String(txns[i])));
+      }
+    }
+    var entries = txns.map(function(txn, i) {
+      return {txn: txn, config: txn.conn.config, gid: gid + ':' + i};
+    });
+    try {
+      entries.forEach(function(entry) {
+        DBTransaction.gidLiteral(entry.gid);
+      });
+    } catch (e) {
+      return cb(e);
+    }
+
+    each(entries, function(entry, i, cb) {
+      entry.txn.prepare(entry.gid, cb);
+    }, function(prepareResults) {
+      var failed = prepareResults.filter(function(r) {
+        return r.err !== null;
+      });
+      var prepared = entries.filter(function(entry, i) {
+        return prepareResults[i].err === null;
+      });
+      if (failed.length > 0) {
+        return abort(prepared, failed[0].err, cb);
+      }
+      each(prepared, function(entry, i, cb) {
+        DBConnection.commitPrepared(entry.config, entry.gid, function(err) {
+          if (!err) {
+            entry.txn._runHooks(true);
+          }
+          return cb(err);
+        });
+      }, function(commitResults) {
+        var unresolved = prepared.filter(function(entry, i) {
+          return commitResults[i].err !== null;
+        });
+        if (unresolved.length > 0) {
+          Metrics.increment('db.txn.two_phase.commit.error');
+          var cause = commitResults.filter(function(r) {
+            return r.err !== null;
+          })[0].err;
+          return cb(new Errors.TwoPhaseCommitError('commit', cause, unresolved.map(describe)));
+        }
+        Metrics.increment('db.txn.two_phase.commit.success');
+        return cb(null);
+      });
+    });
+  });
+};
+
+/*
+ * abort rolls back the transactions that were prepared, after another one
+ * failed to prepare with err.
+ */
+var abort = function(prepared, err, cb) {
+  Metrics.increment('db.txn.two_phase.rollback');
+  each(prepared, function(entry, i, cb) {
+    DBConnection.rollbackPrepared(entry.config, entry.gid, function(err) {
+      if (!err) {
+        entry.txn._runHooks(false);
+      }
+      return cb(err);
+    });
+  }, function(rollbackResults) {
+    var unresolved = prepared.filter(function(entry, i) {
+      return rollbackResults[i].err !== null;
+    });
+    if (unresolved.length > 0) {
+      Metrics.increment('db.txn.two_phase.rollback.error');
+      return cb(new Errors.TwoPhaseCommitError('rollback', err, unresolved.map(describe)));
+    }
+    return cb(err);
+  });
+};
+
+var describe = function(entry) {
+  return {config: entry.config, gid: entry.gid};
+};
@@ -0,0 +1,60 @@
+// Copyright 2015 Shyp, Inc.
+var should = require('should');
+
+var AdvisoryLock = require('../AdvisoryLock.js');
+
+describe('AdvisoryLock', function() {
+  describe('lockId', function() {
+    it('hashes strings to the same signed 64-bit id every time', function() {
+      AdvisoryLock.lockId('driver:usr_1').should.equal('7609725877492700428');
+      AdvisoryLock.lockId('').should.equal('-2721964255587120371');
+    });
+
+    it('gives different strings different ids', function() {
+      AdvisoryLock.lockId('pickup:1').should.not.equal(AdvisoryLock.lockId('pickup:2'));
+    });
+
+    it('uses integers as they are', function() {
+      AdvisoryLock.lockId(42).should.equal('42');
+      AdvisoryLock.lockId(-1).should.equal('-1');
+      AdvisoryLock.lockId(BigInt('9223372036854775807')).should.equal('9223372036854775807');
+    });
+
+    it('rejects keys that are not strings or 64-bit integers', function() {
+      [1.5, NaN, null, {}, BigInt('9223372036854775808')].forEach(function(key) {
+        (function() {
+          AdvisoryLock.lockId(key);
+        }).should.throw(/lock key must be/);
+      });
+    });
+  });
+
+  describe('run', function() {
+    it('passes the lock id as a parameter and returns the result', function(done) {
+      var target = {
+        query: function(sql, values, cb) {
+          sql.should.equal('SELECT pg_try_advisory_xact_lock($1::bigint) AS result');
+          values.should.eql(['42']);
+          cb(null, {rows: [{result: false}]});
+        },
+      };
+      AdvisoryLock.run(target, 'pg_try_advisory_xact_lock', 42, function(err, locked) {
+        should(err).equal(null);
+        locked.should.equal(false);
+        done();
+      });
+    });
+
+    it('hits the callback with invalid keys without querying', function(done) {
+      var target = {
+        query: function() {
+          throw new Error('should not query');
+        },
+      };
+      AdvisoryLock.run(target, 'pg_advisory_lock', 1.5, function(err) {
+        err.message.should.match(/lock key must be/);
+        done();
+      });
+    });
+  });
+});
@@ -0,0 +1,244 @@
+// Copyright 2015 Shyp, Inc.
+var asyncHooks = require('async_hooks');
+var should = require('should');
+
+var DBConnection = require('../DBConnection.js');
+var DBTransaction = require('../DBTransaction.js');
+var Errors = require('../Errors.js');
+var Testing = require('../Testing.js');
+
+var texts = function(client) {
+  return client.queries.map(function(query) {
+    return query.text;
+  });
+};
+
+// A data access function that checks out its own connection.
+var markBusy = function(driverId, cb) {
+  DBConnection.get({}, function(err, conn) {
+    if (err) {
+      return cb(err);
+    }
+    conn.query('UPDATE drivers SET busy = true WHERE id = $1', [driverId], function(err) {
+      conn.release();
+      cb(err);
+    });
+  });
+};
+
+describe('Ambient transactions', function() {
+  var fake = null;
+  beforeEach(function() {
+    fake = Testing.fake();
+    DBConnection.useAmbientTransactions(true);
+  });
+
+  afterEach(function() {
+    DBConnection.useAmbientTransactions(false);
+    fake.restore();
+  });
+
+  it('runs nested get calls inside the current transaction', function(done) {
+    DBConnection.transaction({}, function(txn, cb) {
+      txn.query('UPDATE pickups SET driver_id = $1', ['drv_123'], function(err) {
+        markBusy('drv_123', cb);
+      });
+    }, function(err) {
+      should(err).equal(null);
+      texts(fake).should.eql([
+        'BEGIN',
+        'UPDATE pickups SET driver_id = $1',
+        'SAVEPOINT "shared_sp_1"',
+        'UPDATE drivers SET busy = true WHERE id = $1',
+        'RELEASE SAVEPOINT "shared_sp_1"',
+        'COMMIT',
+      ]);
+      fake.released.should.equal(1);
+      done();
+    });
+  });
+
+  it("keeps the outer transaction's statements out of a failing nested savepoint", function(done) {
+    var outer = null;
+    var outerUpdate = null;
+    fake.on('UPDATE drivers SET busy = true WHERE id = $1', function() {
+      // The outer transaction carries on while the nested statement runs.
+      outerUpdate = outer.query('UPDATE pickups SET state = $1', ['assigned']);
+      return new Error('deadlock detected');
+    });
+    DBConnection.transaction({}, function(txn) {
+      outer = txn;
+      return new Promise(function(resolve) {
+        markBusy('drv_123', function(err) {
+          err.message.should.equal('deadlock detected');
+          resolve(outerUpdate);
+        });
+      });
+    }, function(err) {
+      should(err).equal(null);
+      texts(fake).should.eql([
+        'BEGIN',
+        'SAVEPOINT "shared_sp_1"',
+        'UPDATE drivers SET busy = true WHERE id = $1',
+        'ROLLBACK TO SAVEPOINT "shared_sp_1"',
+        'RELEASE SAVEPOINT "shared_sp_1"',
+        'UPDATE pickups SET state = $1',
+        'COMMIT',
+      ]);
+      fake.released.should.equal(1);
+      done();
+    });
+  });
+
+  it('fails connections and transactions still open when the transaction ends', function(done) {
+    var nested = null;
+    var conn = null;
+    DBConnection.transaction({}, function(txn) {
+      return DBConnection.begin({}).then(function(t) {
+        nested = t;
+        return DBConnection.get({});
+      }).then(function(c) {
+        conn = c;
+      });
+    }, function(err) {
+      should(err).equal(null);
+      nested.state.should.equal(DBTransaction.FAILED);
+      conn.state.should.equal(DBConnection.RELEASED);
+      nested.query('DELETE FROM pickups', function(err) {
+        err.should.be.an.instanceof(Errors.InvalidStateError);
+        err.cause.message.should.match(/outer transaction has already finished/);
+        conn.query('DELETE FROM pickups', function(err) {
+          err.should.be.an.instanceof(Errors.InvalidStateError);
+          texts(fake).should.eql(['BEGIN', 'SAVEPOINT "shared_sp_1"', 'COMMIT']);
+          done();
+        });
+      });
+    });
+  });
+
+  it('fails nested statements still queued when the transaction ends', function(done) {
+    var conn = null;
+    var queued = null;
+    fake.on('ROLLBACK', function() {
+      conn.query('DELETE FROM pickups', function(err) {
+        queued = err;
+      });
+      return {};
+    });
+    DBConnection.transaction({}, function(txn) {
+      return DBConnection.get({}).then(function(c) {
+        conn = c;
+        throw new Error('pickup not found');
+      });
+    }, function(err) {
+      err.message.should.equal('pickup not found');
+      setImmediate(function() {
+        queued.should.be.an.instanceof(Errors.InvalidStateError);
+        conn.state.should.equal(DBConnection.RELEASED);
+        texts(fake).should.eql(['BEGIN', 'ROLLBACK']);
+        done();
+      });
+    });
+  });
+
+  it('runs nested transactions in savepoints, without retrying them', function(done) {
+    var failure = new Error('could not serialize access');
+    failure.code = '40001';
+    fake.on('UPDATE drivers', failure);
+    var attempts = 0;
+    DBConnection.transaction({}, function(txn) {
+      return DBConnection.transaction({}, {retry: true}, function(nested) {
+        attempts++;
+        return nested.query('UPDATE drivers');
+      }).catch(function(err) {
+        err.should.be.an.instanceof(Errors.SerializationFailureError);
+        txn.state.should.equal('active');
+      });
+    }, function(err) {
+      should(err).equal(null);
+      attempts.should.equal(1);
+      texts(fake).should.eql([
+        'BEGIN',
+        'SAVEPOINT "shared_sp_1"',
+        'UPDATE drivers',
+        'ROLLBACK TO SAVEPOINT "shared_sp_1"',
+        'RELEASE SAVEPOINT "shared_sp_1"',
+        'COMMIT',
+      ]);
+      done();
+    });
+  });
+
+  it('knows whether code is running inside a transaction', function(done) {
+    DBConnection.inTransaction().should.equal(false);
+    var after = null;
+    DBConnection.transaction({}, function(txn, cb) {
+      DBConnection.inTransaction().should.equal(true);
+      DBConnection.currentTransaction().should.equal(txn);
+      after = function() {
+        return DBConnection.inTransaction();
+      };
+      cb(null);
+    }, function(err) {
+      should(err).equal(null);
+      after().should.equal(false);
+      should(DBConnection.currentTransaction()).equal(null);
+      done();
+    });
+  });
+
+  it('uses new connections for other pools', function(done) {
+    DBConnection.transaction({}, function(txn, cb) {
+      DBConnection.get({database: 'reports'}, function(err, conn) {
+        conn.query('SELECT 1', function(err) {
+          conn.release();
+          cb(err);
+        });
+      });
+    }, function(err) {
+      should(err).equal(null);
+      // The fake hands out the same client for every pool, but the query
+      // doesn't go through the transaction's savepoints.
+      texts(fake).should.eql(['BEGIN', 'SELECT 1', 'COMMIT']);
+      fake.released.should.equal(2);
+      done();
+    });
+  });
+
+  it('does nothing when turned off', function(done) {
+    DBConnection.useAmbientTransactions(false);
+    DBConnection.transaction({}, function(txn, cb) {
+      DBConnection.inTransaction().should.equal(false);
+      markBusy('drv_123', cb);
+    }, function(err) {
+      should(err).equal(null);
+      texts(fake).should.eql(['BEGIN', 'UPDATE drivers SET busy = true WHERE id = $1', 'COMMIT']);
+      done();
+    });
+  });
+
+  describe('on versions of Node without AsyncLocalStorage', function() {
+    var AsyncLocalStorage = asyncHooks.AsyncLocalStorage;
+    var fresh = null;
+    beforeEach(function() {
+      asyncHooks.AsyncLocalStorage = undefined;
+      var path = require.resolve('../Ambient.js');
+      var cached = require.cache[path];
+      delete require.cache[path];
+      fresh = require('../Ambient.js');
+      require.cache[path] = cached;
+    });
+
+    afterEach(function() {
+      asyncHooks.AsyncLocalStorage = AsyncLocalStorage;
+    });
+
+    it('loads, and throws when turned on', function() {
+      should(fresh.current()).equal(null);
+      (function() {
+        fresh.enable(true);
+      }).should.throw(/ambient transactions need AsyncLocalStorage/);
+      should(fresh.current()).equal(null);
+    });
+  });
+});
@@ -0,0 +1,121 @@
+// Copyright 2015 Shyp, Inc.
+var should = require('should');
+var sinon = require('sinon');
+
+var ConnectionTracker = require('../ConnectionTracker.js');
+var DBTransaction = require('../DBTransaction.js');
+var Metrics = require('../Metrics.js');
+
+var fakeConn = function() {
+  var conn = {
+    release: sinon.spy(function() {
+      ConnectionTracker.untrack(conn);
+    }),
+    query: sinon.spy(function(sql, cb) {
+      cb(null);
+    }),
+  };
+  return conn;
+};
+
+describe('ConnectionTracker', function() {
+  var logger = null;
+  var metrics = null;
+  beforeEach(function() {
+    logger = {warn: sinon.spy()};
+    metrics = new Metrics.Memory();
+    Metrics.setBackend(metrics);
+  });
+
+  afterEach(function() {
+    ConnectionTracker.list().forEach(function(entry) {
+      ConnectionTracker.untrack(entry.conn);
+    });
+    ConnectionTracker.configure(null);
+    Metrics.setBackend(null);
+  });
+
+  it('lists checked out connections', function() {
+    var conn = fakeConn();
+    ConnectionTracker.track(conn, null);
+    var list = ConnectionTracker.list();
+    list.length.should.equal(1);
+    list[0].conn.should.equal(conn);
+    list[0].inTransaction.should.equal(false);
+    list[0].age.should.be.within(0, 100);
+    ConnectionTracker.untrack(conn);
+    ConnectionTracker.list().should.eql([]);
+  });
+
+  it('only records stacks while leak detection is on', function() {
+    should(ConnectionTracker.captureStack()).equal(null);
+    ConnectionTracker.configure({warnAfter: 1000});
+    ConnectionTracker.captureStack().should.match(/ConnectionTracker\.test\.js/);
+  });
+
+  it('warns once about connections checked out past warnAfter', function() {
+    ConnectionTracker.configure({warnAfter: 1000, logger: logger});
+    var conn = fakeConn();
+    ConnectionTracker.track(conn, ConnectionTracker.captureStack());
+    ConnectionTracker._check(Date.now() + 500);
+    logger.warn.called.should.equal(false);
+    ConnectionTracker._check(Date.now() + 1500);
+    ConnectionTracker._check(Date.now() + 2500);
+    logger.warn.calledOnce.should.equal(true);
+    logger.warn.firstCall.args[0].should.match(/Possible leaked connection/);
+    metrics.count('db.txn_conn_pool.leak', {kind: 'connection'}).should.equal(1);
+    conn.release.called.should.equal(false);
+  });
+
+  it('reaps connections checked out past reapAfter', function() {
+    ConnectionTracker.configure({warnAfter: 1000, reapAfter: 2000, logger: logger});
+    var conn = fakeConn();
+    ConnectionTracker.track(conn, null);
+    ConnectionTracker._check(Date.now() + 2500);
+    conn.release.calledWith(true).should.equal(true);
+    conn.query.called.should.equal(false);
+    metrics.count('db.txn_conn_pool.leak.reaped').should.equal(1);
+    ConnectionTracker.list().should.eql([]);
+  });
+
+  it('rolls back transactions before reaping them', function() {
+    ConnectionTracker.configure({warnAfter: 1000, reapAfter: 2000, logger: logger});
+    var conn = fakeConn();
+    var txn = new DBTransaction(conn);
+    var afterRollback = sinon.spy();
+    txn.afterRollback(afterRollback);
+    ConnectionTracker.track(conn, null);
+    ConnectionTracker._check(Date.now() + 2500);
+    conn.query.firstCall.args[0].should.eql({text: 'ROLLBACK', timeout: 1000});
+    conn.release.calledWith(true).should.equal(true);
+    txn.state.should.equal(DBTransaction.ROLLED_BACK);
+    afterRollback.calledOnce.should.equal(true);
+    metrics.count('db.txn.rollback.success').should.equal(1);
+    metrics.count('db.txn_conn_pool.leak.reaped', {kind: 'transaction'}).should.equal(1);
+  });
+
+  it('still disposes of the connection when the rollback fails', function() {
+    var conn = fakeConn();
+    conn.query = sinon.spy(function(sql, cb) {
+      conn.release(true);
+      conn._txn._fail(null);
+      cb(new Error('canceling statement due to statement timeout'));
+    });
+    var txn = new DBTransaction(conn);
+    var afterRollback = sinon.spy();
+    txn.afterRollback(afterRollback);
+    ConnectionTracker.track(conn, null);
+    var done = sinon.spy();
+    ConnectionTracker.forceClose(conn, done);
+    done.calledOnce.should.equal(true);
+    conn.release.alwaysCalledWith(true).should.equal(true);
+    afterRollback.calledOnce.should.equal(true);
+    ConnectionTracker.list().should.eql([]);
+  });
+
+  it('rejects a reapAfter shorter than warnAfter', function() {
+    (function() {
+      ConnectionTracker.configure({warnAfter: 1000, reapAfter: 10});
+    }).should.throw(/reapAfter/);
+  });
+});
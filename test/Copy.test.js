@@ -0,0 +1,338 @@
+// Copyright 2015 Shyp, Inc.
+var AsyncResource = require('async_hooks').AsyncResource;
+var should = require('should');
+var stream = require('stream');
+
+var Copy = require('../Copy.js');
+var DBConnection = require('../DBConnection.js');
+var DBTransaction = require('../DBTransaction.js');
+var Metrics = require('../Metrics.js');
+var SharedConnection = require('../SharedConnection.js');
+var Sql = require('../Sql.js');
+var Testing = require('../Testing.js');
+
+var texts = function(client) {
+  return client.queries.map(function(query) {
+    return query.text;
+  });
+};
+
+var COPY_PICKUPS = 'COPY "pickups" ("id", "state") FROM STDIN WITH (FORMAT csv)';
+
+describe('Copy', function() {
+  describe('encodeRow', function() {
+    it('quotes strings, so commas, quotes and newlines are safe', function() {
+      Copy.encodeRow(['a,b', 'say "hi"', 'line\nbreak', '']).should.equal('"a,b","say ""hi""","line\nbreak",""\n');
+    });
+
+    it('leaves NULL empty, and converts values like query parameters', function() {
+      Copy.encodeRow([null, 5, true, ['a', 'b'], {size: 1}]).should.equal(',"5","true","{""a"",""b""}","{""size"":1}"\n');
+    });
+
+    it('writes buffers as bytea hex', function() {
+      Copy.encodeValue(Buffer.from([1, 255])).should.equal('"\\x01ff"');
+    });
+
+    it('writes dates as ISO 8601', function() {
+      Copy.encodeValue(new Date(Date.UTC(2015, 5, 1, 12, 30))).should.equal('"2015-06-01T12:30:00.000Z"');
+    });
+
+    it('escapes array elements, and writes nested arrays and NULLs', function() {
+      Copy.encodeValue([['a"b', 'c\\d'], [null, 'e']]).should.equal('"{{""a\\""b"",""c\\\\d""},{NULL,""e""}}"');
+    });
+
+    it('uses toPostgres when a value has one', function() {
+      var point = {toPostgres: function() {
+        return '(1,2)';
+      }};
+      Copy.encodeValue(point).should.equal('"(1,2)"');
+    });
+  });
+
+  describe('with connections', function() {
+    var fake = null;
+    var metrics = null;
+    beforeEach(function() {
+      fake = Testing.fake();
+      metrics = new Metrics.Memory();
+      Metrics.setBackend(metrics);
+    });
+
+    afterEach(function() {
+      fake.restore();
+      Metrics.setBackend(null);
+    });
+
+    it('copies rows into a table', function(done) {
+      fake.on(/^COPY/, {rowCount: 2});
+      DBConnection.get({}, function(err, conn) {
+        conn.copyFrom('pickups', ['id', 'state'], [['pik_1', 'assigned'], {state: null, id: 'pik_2'}], function(err, rowCount) {
+          should(err).equal(null);
+          rowCount.should.equal(2);
+          texts(fake).should.eql([COPY_PICKUPS]);
+          metrics.find('db.copy.from.rows')[0].value.should.equal(2);
+          conn.release();
+          done();
+        });
+      });
+    });
+
+    it('copies rows from an object mode stream', function() {
+      var rows = stream.Readable.from([['pik_1', 'assigned']]);
+      return DBConnection.begin({}).then(function(txn) {
+        return txn.copyFrom(['public', 'pickups'], ['id', 'state'], rows).then(function() {
+          return txn.commit();
+        });
+      }).then(function() {
+        texts(fake).should.eql([
+          'BEGIN',
+          'COPY "public"."pickups" ("id", "state") FROM STDIN WITH (FORMAT csv)',
+          'COMMIT',
+        ]);
+      });
+    });
+
+    it('rejects bad rows before sending anything', function(done) {
+      DBConnection.get({}, function(err, conn) {
+        conn.copyFrom('pickups', ['id', 'state'], [['pik_1']], function(err) {
+          err.message.should.match(/Row 0 has 1 values, but there are 2 columns/);
+          conn.copyFrom('pickups', ['id', 'state'], [{id: 'pik_1'}], function(err) {
+            err.message.should.match(/no value for column state/);
+            fake.queries.should.eql([]);
+            conn.release();
+            done();
+          });
+        });
+      });
+    });
+
+    it('fails the transaction when the COPY fails', function(done) {
+      var failure = new Error('invalid input syntax for integer');
+      failure.code = '22P02';
+      fake.on(/^COPY/, failure);
+      DBConnection.begin({}, function(err, txn) {
+        txn.copyFrom('pickups', ['id', 'state'], [['pik_1', 'assigned']], function(err) {
+          err.code.should.equal('22P02');
+          err.sql.should.equal(COPY_PICKUPS);
+          txn.state.should.equal(DBTransaction.FAILED);
+          txn.conn._released.should.equal(true);
+          metrics.count('db.copy.from.error').should.equal(1);
+          done();
+        });
+      });
+    });
+
+    it('releases the connection when the source stream fails', function(done) {
+      var rows = new stream.Readable({objectMode: true, read: function() {}});
+      DBConnection.get({}, function(err, conn) {
+        conn.copyFrom('pickups', ['id', 'state'], rows, function(err) {
+          err.message.should.equal('disk on fire');
+          conn._released.should.equal(true);
+          done();
+        });
+        rows.emit('error', new Error('disk on fire'));
+      });
+    });
+
+    it('streams rows out with copyTo', function(done) {
+      fake.on(/^COPY/, {rows: ['pik_1,assigned\n', 'pik_2,collected\n']});
+      DBConnection.get({}, function(err, conn) {
+        var out = conn.copyTo('SELECT id, state FROM pickups');
+        var chunks = [];
+        out.on('data', function(chunk) {
+          chunks.push(chunk.toString());
+        });
+        out.on('end', function() {
+          chunks.join('').should.equal('pik_1,assigned\npik_2,collected\n');
+          out.rowCount.should.equal(2);
+          texts(fake).should.eql(['COPY (SELECT id, state FROM pickups) TO STDOUT WITH (FORMAT csv)']);
+          metrics.find('db.copy.to.rows')[0].value.should.equal(2);
+          conn.release();
+          done();
+        });
+      });
+    });
+
+    it('refuses to copy a query with parameters', function(done) {
+      DBConnection.get({}, function(err, conn) {
+        conn.copyTo(Sql.sql`SELECT * FROM pickups WHERE id = ${'pik_1'}`).on('error', function(err) {
+          err.message.should.match(/COPY can't take parameters/);
+          fake.queries.should.eql([]);
+          conn.release();
+          done();
+        });
+      });
+    });
+
+    it('fails the stream when copying out of a finished transaction', function(done) {
+      DBConnection.begin({}, function(err, txn) {
+        txn.commit(function(err) {
+          txn.copyTo('SELECT 1').on('error', function(err) {
+            err.message.should.match(/Can't copy out of a transaction that has already been committed/);
+            texts(fake).should.eql(['BEGIN', 'COMMIT']);
+            done();
+          });
+        });
+      });
+    });
+
+    it('runs query hooks for COPY', function(done) {
+      var events = [];
+      var remove = DBConnection.addQueryHook({
+        after: function(event) {
+          events.push(event);
+        },
+      });
+      fake.on(/^COPY/, {rowCount: 1});
+      DBConnection.get({}, function(err, conn) {
+        conn.copyFrom('pickups', ['id', 'state'], [['pik_1', 'assigned']], function(err) {
+          remove();
+          should(err).equal(null);
+          events.length.should.equal(1);
+          events[0].sql.should.equal(COPY_PICKUPS);
+          events[0].rowCount.should.equal(1);
+          should(events[0].error).equal(null);
+          conn.release();
+          done();
+        });
+      });
+    });
+  });
+
+  describe('in an ambient transaction', function() {
+    var fake = null;
+    beforeEach(function() {
+      fake = Testing.fake();
+      DBConnection.useAmbientTransactions(true);
+    });
+
+    afterEach(function() {
+      DBConnection.useAmbientTransactions(false);
+      fake.restore();
+    });
+
+    it('calls back inside the transaction', function(done) {
+      // node-postgres answers from its socket's events, outside the context
+      // the COPY was sent from.
+      var socket = new AsyncResource('socket');
+      var submit = fake._submit;
+      fake._submit = function(query) {
+        var that = this;
+        return socket.runInAsyncScope(function() {
+          return submit.call(that, query);
+        });
+      };
+      DBConnection.transaction({}, function(txn, cb) {
+        DBConnection.get({}, function(err, conn) {
+          conn.copyFrom('pickups', ['id', 'state'], [['pik_1', 'assigned']], function(err) {
+            should(err).equal(null);
+            conn.release();
+            DBConnection.currentTransaction().should.equal(txn);
+            cb(null);
+          });
+        });
+      }, function(err) {
+        should(err).equal(null);
+        texts(fake).should.eql([
+          'BEGIN',
+          'SAVEPOINT "shared_sp_1"',
+          COPY_PICKUPS,
+          'RELEASE SAVEPOINT "shared_sp_1"',
+          'COMMIT',
+        ]);
+        done();
+      });
+    });
+  });
+
+  describe('on a shared connection', function() {
+    var client = null;
+    beforeEach(function() {
+      client = new Testing.FakeClient();
+      SharedConnection.use(new SharedConnection.SharedConnection(client));
+    });
+
+    afterEach(function() {
+      SharedConnection.use(null);
+    });
+
+    it('runs the COPY in its own savepoint', function(done) {
+      DBConnection.get({}, function(err, conn) {
+        conn.copyFrom('pickups', ['id', 'state'], [['pik_1', 'assigned']], function(err) {
+          should(err).equal(null);
+          conn.query('SELECT 1', function(err) {
+            should(err).equal(null);
+            texts(client).should.eql([
+              'SAVEPOINT "shared_sp_1"',
+              COPY_PICKUPS,
+              'RELEASE SAVEPOINT "shared_sp_1"',
+              'SAVEPOINT "shared_sp_2"',
+              'SELECT 1',
+              'RELEASE SAVEPOINT "shared_sp_2"',
+            ]);
+            conn.release();
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  describe('bulkInsert', function() {
+    var fake = null;
+    beforeEach(function() {
+      fake = Testing.fake();
+      fake.on(/^INSERT/, function(text, values) {
+        return {rowCount: values.length / 2};
+      });
+    });
+
+    afterEach(function() {
+      fake.restore();
+    });
+
+    it('inserts rows in batches', function() {
+      var rows = [['pik_1', 'assigned'], ['pik_2', null], {id: 'pik_3', state: 'collected'}];
+      return DBConnection.begin({}).then(function(txn) {
+        return txn.bulkInsert('pickups', ['id', 'state'], rows, {batchSize: 2}).then(function(count) {
+          count.should.equal(3);
+          return txn.commit();
+        });
+      }).then(function() {
+        fake.queries.slice(1, 3).should.eql([
+          {text: 'INSERT INTO "pickups" ("id", "state") VALUES ($1, $2), ($3, $4)', values: ['pik_1', 'assigned', 'pik_2', null]},
+          {text: 'INSERT INTO "pickups" ("id", "state") VALUES ($1, $2)', values: ['pik_3', 'collected']},
+        ]);
+      });
+    });
+
+    it('stays under the parameter limit', function(done) {
+      var rows = [];
+      for (var i = 0; i < 40000; i++) {
+        rows.push([i, 'assigned']);
+      }
+      DBConnection.get({}, function(err, conn) {
+        conn.bulkInsert('pickups', ['id', 'state'], rows, function(err, count) {
+          should(err).equal(null);
+          count.should.equal(40000);
+          fake.queries.map(function(query) {
+            return query.values.length;
+          }).should.eql([65534, 80000 - 65534]);
+          conn.release();
+          done();
+        });
+      });
+    });
+
+    it('sends arrays as single values', function(done) {
+      DBConnection.get({}, function(err, conn) {
+        conn.bulkInsert('photos', ['id', 'tags'], [['pho_1', ['a', 'b']]], function(err) {
+          should(err).equal(null);
+          fake.queries[0].should.eql({text: 'INSERT INTO "photos" ("id", "tags") VALUES ($1, $2)', values: ['pho_1', ['a', 'b']]});
+          conn.release();
+          done();
+        });
+      });
+    });
+  });
+});
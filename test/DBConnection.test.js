@@ -1,9 +1,12 @@
 // Copyright 2015 Shyp, Inc.
+var pg = require('pg');
 var should = require('should');
 var sinon = require('sinon');
 
 var DBConnection = require('../DBConnection.js');
 var DBTransaction = require('../DBTransaction.js');
+var Errors = require('../Errors.js');
+var Listener = require('../Listener.js');
 
 describe('DBConnection', function() {
   var sandbox = null;
@@ -100,6 +103,120 @@ describe('DBConnection', function() {
       }
     });
   });
+  context('with more than one pool', function() {
+    before(function() {
+      DBConnection.definePool('small', {poolSize: 2});
+    });
+
+    it('measures the utilization of each pool separately', function(done) {
+      return DBConnection.get({}, function(err, conn) {
+        DBConnection.get('small', function(err, small1) {
+          DBConnection.get('small', function(err, small2) {
+            try {
+              small1.pool.should.equal('small');
+              DBConnection._getPoolUtilization().should.equal(1);
+              DBConnection._getPoolUtilization('small').should.equal(2);
+            } catch (e) {
+              err = e;
+            }
+            conn.release(true);
+            small1.release(true);
+            small2.release(true);
+            return done(err);
+          });
+        });
+      });
+    });
+
+    it('returns an error for pools that have not been defined', function(done) {
+      return DBConnection.get('nonexistent', function(err, conn) {
+        try {
+          err.message.should.match(/No pool named/);
+          should(conn).not.be.ok();
+          return done();
+        } catch (e) {
+          return done(e);
+        }
+      });
+    });
+  });
+
+  context('stats and health checks', function() {
+    before(function() {
+      DBConnection.definePool('stats_unused', {database: 'stats_unused', poolSize: 3});
+    });
+
+    it('reports checked out connections and open transactions per pool', function(done) {
+      DBConnection.begin({}, function(err, txn) {
+        if (err) {
+          return done(err);
+        }
+        var failure = null;
+        try {
+          var stats = DBConnection.stats();
+          var pool = stats.filter(function(s) {
+            return s.pool === 'default';
+          })[0];
+          pool.checkedOut.should.equal(1);
+          pool.openTransactions.should.equal(1);
+          pool.oldestCheckoutAge.should.be.a.Number();
+          pool.size.should.equal(100);
+          var unused = stats.filter(function(s) {
+            return s.pool === 'stats_unused';
+          })[0];
+          unused.should.eql({
+            pool: 'stats_unused',
+            size: 3,
+            total: 0,
+            idle: 0,
+            checkedOut: 0,
+            waiting: 0,
+            openTransactions: 0,
+            oldestCheckoutAge: null,
+          });
+        } catch (e) {
+          failure = e;
+        }
+        txn.rollback(function() {
+          done(failure);
+        });
+      });
+    });
+
+    it('runs a health check and reports the server version', function(done) {
+      DBConnection.healthCheck({}, function(err, result) {
+        try {
+          should(err).equal(null);
+          result.pool.should.equal('default');
+          result.version.should.match(/^\d+/);
+          result.latency.should.be.aboveOrEqual(result.queryLatency);
+          DBConnection._getPoolUtilization().should.equal(0);
+          return done();
+        } catch (e) {
+          return done(e);
+        }
+      });
+    });
+
+    it('fails a health check that does not finish in time', function(done) {
+      var connect = pg.connect;
+      sandbox.stub(pg, 'connect', function(config, cb) {
+        setTimeout(function() {
+          connect.call(pg, config, cb);
+        }, 50);
+      });
+      DBConnection.healthCheck({}, {timeout: 10}, function(err, result) {
+        try {
+          err.should.be.an["instanceof"](Errors.AcquireTimeoutError);
+          should(result).not.be.ok();
+          return done();
+        } catch (e) {
+          return done(e);
+        }
+      });
+    });
+  });
+
   context('calling release more than once', function() {
     it('does not throw an error', function(done) {
       return DBConnection.get({}, function(err, conn) {
@@ -120,6 +237,213 @@ describe('DBConnection', function() {
     });
   });
 
+  it('returns typed errors from Postgres', function(done) {
+    return DBConnection.get({}, function(err, conn) {
+      conn.query('SELECT 1/0 AS foo', function(err, result) {
+        try {
+          err.should.be.an["instanceof"](Errors.DataError);
+          err.code.should.equal('22012');
+          err.sql.should.equal('SELECT 1/0 AS foo');
+          conn._released.should.equal(true);
+          return done();
+        } catch (e) {
+          return done(e);
+        }
+      });
+    });
+  });
+
+  it('rejects queries after the connection has been released', function(done) {
+    return DBConnection.get({}, function(err, conn) {
+      conn.release(true);
+      conn.state.should.equal(DBConnection.RELEASED);
+      conn.query('SELECT 1 AS foo', function(err, result) {
+        try {
+          err.should.be.an["instanceof"](Errors.InvalidStateError);
+          should(result).not.be.ok();
+          return done();
+        } catch (e) {
+          return done(e);
+        }
+      });
+    });
+  });
+
+  it('streams rows from a cursor', function(done) {
+    return DBConnection.get({}, function(err, conn) {
+      var seen = [];
+      conn.cursor('SELECT * FROM generate_series(1, 5) AS n', {batchSize: 2})
+        .on('data', function(row) {
+          seen.push(row.n);
+        })
+        .on('error', done)
+        .on('end', function() {
+          try {
+            seen.should.eql([1, 2, 3, 4, 5]);
+            conn.release();
+            return done();
+          } catch (e) {
+            conn.release(true);
+            return done(e);
+          }
+        });
+    });
+  });
+
+  it('fetches an empty batch once a cursor is exhausted', function(done) {
+    return DBConnection.get({}, function(err, conn) {
+      var cursor = conn.cursor('SELECT 1 AS foo');
+      cursor.fetch(function(err, rows) {
+        should(err).equal(null);
+        rows.should.eql([{foo: 1}]);
+        cursor.fetch(function(err, rows) {
+          should(err).equal(null);
+          rows.should.eql([]);
+          conn.release();
+          return done();
+        });
+      });
+    });
+  });
+
+  it('unlocks session advisory locks before returning the connection to the pool', function(done) {
+    return DBConnection.get({}, function(err, conn) {
+      conn.advisoryLock('driver:usr_123', function(err) {
+        should(err).equal(null);
+        conn.release();
+        // The unlock runs in the background; give it a moment.
+        setTimeout(function() {
+          DBConnection.get({}, function(err, other) {
+            other.tryAdvisoryLock('driver:usr_123', function(err, locked) {
+              should(err).equal(null);
+              locked.should.equal(true);
+              other.advisoryUnlock('driver:usr_123', function(err, unlocked) {
+                should(err).equal(null);
+                unlocked.should.equal(true);
+                other.release();
+                return done();
+              });
+            });
+          });
+        }, 50);
+      });
+    });
+  });
+
+  describe('listen', function() {
+    afterEach(function(done) {
+      DBConnection.closeListeners(done);
+    });
+
+    it('keeps a separate listener for each host', function() {
+      var orders = Listener.get({host: 'orders.db', database: 'app'});
+      var billing = Listener.get({host: 'billing.db', database: 'app'});
+      orders.should.not.equal(billing);
+      orders.config.host.should.equal('orders.db');
+      billing.config.host.should.equal('billing.db');
+      Listener.get({host: 'billing.db', database: 'app'}).should.equal(billing);
+    });
+
+    it('delivers notifications once the transaction commits', function(done) {
+      var payloads = [];
+      DBConnection.listen({}, 'photos_changed', function(payload, channel) {
+        channel.should.equal('photos_changed');
+        payloads.push(payload);
+        if (payload === 'pho_2') {
+          payloads.should.eql(['pho_2']);
+          done();
+        }
+      }, function(err, subscription) {
+        should(err).equal(null);
+        subscription.channel.should.equal('photos_changed');
+        DBConnection.begin({}, function(err, txn) {
+          txn.notify('photos_changed', 'pho_1', function(err) {
+            should(err).equal(null);
+            txn.rollback(function(err) {
+              DBConnection.begin({}, function(err, txn) {
+                txn.notify('photos_changed', 'pho_2', function(err) {
+                  should(err).equal(null);
+                  payloads.should.eql([]);
+                  txn.commit();
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('stops delivering notifications after unlisten', function(done) {
+      DBConnection.listen({}, 'photos_changed', function(payload) {
+        done(new Error('should not have been notified'));
+      }, function(err, subscription) {
+        subscription.unlisten(function(err) {
+          should(err).equal(null);
+          DBConnection.begin({}, function(err, txn) {
+            txn.notify('photos_changed', 'pho_1', function(err) {
+              txn.commit(function(err) {
+                setTimeout(done, 50);
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('reconnects and listens to every channel again when the connection drops', function(done) {
+      var received = [];
+      var handler = function(payload, channel) {
+        received.push(channel);
+        if (received.length === 2) {
+          received.sort().should.eql(['drivers_changed', 'photos_changed']);
+          done();
+        }
+      };
+      DBConnection.listen({}, 'photos_changed', handler, function(err) {
+        should(err).equal(null);
+        DBConnection.listen({}, 'drivers_changed', handler, function(err) {
+          should(err).equal(null);
+          var listener = Listener.get({});
+          var dropped = listener.client;
+          dropped.connection.stream.destroy();
+          var waitForReconnect = function() {
+            if (listener.client === null || listener.client === dropped) {
+              return setTimeout(waitForReconnect, 20);
+            }
+            DBConnection.begin({}, function(err, txn) {
+              txn.notify('photos_changed', 'pho_1', function(err) {
+                txn.notify('drivers_changed', 'drv_1', function(err) {
+                  txn.commit();
+                });
+              });
+            });
+          };
+          waitForReconnect();
+        });
+      });
+    });
+
+    it('logs handler errors only to the listen logger', function(done) {
+      var logged = [];
+      DBConnection.setListenLogger({error: function(message) { logged.push(message); }});
+      DBConnection.listen({}, 'photos_changed', function() {
+        throw new Error('boom');
+      }, function(err) {
+        DBConnection.listen({}, 'photos_changed', function() {
+          DBConnection.setListenLogger(null);
+          logged.should.eql(['Listener: handler for channel photos_changed failed:']);
+          done();
+        }, function(err) {
+          DBConnection.begin({}, function(err, txn) {
+            txn.notify('photos_changed', 'pho_1', function(err) {
+              txn.commit();
+            });
+          });
+        });
+      });
+    });
+  });
+
   context('when a connection cannot be established', function() {
     beforeEach(function(done) {
       this.dbErr = new Error('connection failure');
@@ -172,6 +496,298 @@ describe('DBConnection', function() {
       });
     });
   });
+  context('timeouts', function() {
+    it('fails with an AcquireTimeoutError when no connection comes free', function(done) {
+      var connect = pg.connect;
+      sandbox.stub(pg, 'connect', function(config, cb) {
+        setTimeout(function() {
+          connect.call(pg, config, cb);
+        }, 50);
+      });
+      DBConnection.get({}, {acquireTimeout: 10}, function(err, conn) {
+        try {
+          err.should.be.an["instanceof"](Errors.AcquireTimeoutError);
+          should(conn).not.be.ok();
+        } catch (e) {
+          return done(e);
+        }
+        // The late connection should go straight back to the pool.
+        setTimeout(function() {
+          try {
+            DBConnection._getPoolUtilization().should.equal(0);
+            return done();
+          } catch (e) {
+            return done(e);
+          }
+        }, 100);
+      });
+    });
+
+    it('cancels queries that run past the queryTimeout', function(done) {
+      DBConnection.get({}, {queryTimeout: 50}, function(err, conn) {
+        conn.query('SELECT pg_sleep(2)', function(err) {
+          try {
+            err.should.be.an["instanceof"](Errors.QueryTimeoutError);
+            err.timeout.should.equal(50);
+            conn._released.should.equal(true);
+            DBConnection._getPoolUtilization().should.equal(0);
+            return done();
+          } catch (e) {
+            return done(e);
+          }
+        });
+      });
+    });
+
+    it('lets a single query override the timeout', function(done) {
+      DBConnection.get({}, function(err, conn) {
+        conn.query({text: 'SELECT pg_sleep(2)', timeout: 50}, function(err) {
+          try {
+            err.should.be.an["instanceof"](Errors.QueryTimeoutError);
+            return done();
+          } catch (e) {
+            return done(e);
+          }
+        });
+      });
+    });
+  });
+
+  context('shutdown', function() {
+    afterEach(function() {
+      DBConnection._resetShutdown();
+    });
+
+    it('refuses new connections', function(done) {
+      DBConnection.shutdown({timeout: 100}, function(err, result) {
+        should(err).equal(null);
+        result.should.eql({forcedRollbacks: 0, forcedReleases: 0});
+        DBConnection.begin({}, function(err, txn) {
+          err.should.be.an["instanceof"](Errors.ShuttingDownError);
+          should(txn).not.be.ok();
+          DBConnection.listen({}, 'photos_changed', function() {}, function(err, subscription) {
+            err.should.be.an["instanceof"](Errors.ShuttingDownError);
+            should(subscription).not.be.ok();
+            return done();
+          });
+        });
+      });
+    });
+
+    it('waits for open transactions to finish', function(done) {
+      DBConnection.begin({}, function(err, txn) {
+        DBConnection.shutdown({timeout: 1000}, function(err, result) {
+          should(err).equal(null);
+          txn.state.should.equal(DBTransaction.COMMITTED);
+          result.should.eql({forcedRollbacks: 0, forcedReleases: 0});
+          return done();
+        });
+        setTimeout(function() {
+          txn.commit();
+        }, 50);
+      });
+    });
+
+    it('rolls back transactions still open at the deadline', function(done) {
+      DBConnection.begin({}, function(err, txn) {
+        var rolledBack = false;
+        txn.afterRollback(function() {
+          rolledBack = true;
+        });
+        DBConnection.shutdown({timeout: 50}, function(err, result) {
+          should(err).equal(null);
+          result.should.eql({forcedRollbacks: 1, forcedReleases: 0});
+          txn.state.should.equal(DBTransaction.ROLLED_BACK);
+          txn.conn.state.should.equal(DBConnection.RELEASED);
+          rolledBack.should.equal(true);
+          return done();
+        });
+      });
+    });
+  });
+
+  context('when no callback is passed', function() {
+    it('get returns a Promise for a connection', function() {
+      return DBConnection.get({}).then(function(conn) {
+        conn.should.be.an["instanceof"](DBConnection);
+        conn.release(true);
+      });
+    });
+
+    it('query resolves with the result', function() {
+      return DBConnection.get({}).then(function(conn) {
+        return conn.query('SELECT $1::int AS foo', [1]).then(function(result) {
+          conn.release(true);
+          result.rows.should.eql([{foo: 1}]);
+        });
+      });
+    });
+
+    it('query rejects with the error and releases the connection', function() {
+      var dbErr = new Error('connection failure');
+      return DBConnection.get({}).then(function(conn) {
+        conn.client.query = function(sql, values, cb) {
+          return cb(dbErr);
+        };
+        return conn.query('SELECT 1 AS foo').then(function() {
+          throw new Error('query should have failed');
+        }, function(err) {
+          err.should.equal(dbErr);
+          DBConnection._getPoolUtilization().should.equal(0);
+        });
+      });
+    });
+
+    it('begin returns a Promise for a DBTransaction', function() {
+      return DBConnection.begin({}).then(function(txn) {
+        txn.should.be.an["instanceof"](DBTransaction);
+        return txn.rollback();
+      });
+    });
+  });
+
+  describe('transaction', function() {
+    it('commits and returns the result when fn succeeds', function(done) {
+      DBConnection.transaction({}, function(txn) {
+        txn.should.be.an["instanceof"](DBTransaction);
+        return txn.query('SELECT 1 AS foo');
+      }, function(err, result) {
+        try {
+          should(err).not.be.ok();
+          result.rows.should.eql([{foo: 1}]);
+          DBConnection._getPoolUtilization().should.equal(0);
+          return done();
+        } catch (e) {
+          return done(e);
+        }
+      });
+    });
+
+    it('accepts a callback-style fn', function(done) {
+      DBConnection.transaction({}, function(txn, cb) {
+        txn.query('SELECT 1 AS foo', cb);
+      }, function(err, result) {
+        try {
+          should(err).not.be.ok();
+          result.rowCount.should.equal(1);
+          return done();
+        } catch (e) {
+          return done(e);
+        }
+      });
+    });
+
+    it('rolls back and returns the error when fn throws', function(done) {
+      var fnErr = new Error('boom');
+      var rollback = sandbox.spy(DBTransaction.prototype, 'rollback');
+      DBConnection.transaction({}, function(txn) {
+        throw fnErr;
+      }, function(err) {
+        try {
+          err.should.equal(fnErr);
+          rollback.calledOnce.should.equal(true);
+          DBConnection._getPoolUtilization().should.equal(0);
+          return done();
+        } catch (e) {
+          return done(e);
+        }
+      });
+    });
+
+    it('rolls back when the returned Promise rejects', function() {
+      var fnErr = new Error('boom');
+      var commit = sandbox.spy(DBTransaction.prototype, 'commit');
+      return DBConnection.transaction({}, function(txn) {
+        return Promise.reject(fnErr);
+      }).then(function() {
+        throw new Error('transaction should have failed');
+      }, function(err) {
+        err.should.equal(fnErr);
+        commit.called.should.equal(false);
+        DBConnection._getPoolUtilization().should.equal(0);
+      });
+    });
+
+    it('returns the original error when the rollback fails', function(done) {
+      var fnErr = new Error('boom');
+      DBConnection.transaction({}, function(txn) {
+        txn.conn.client.query = function(sql, values, cb) {
+          return cb(new Error('rollback failure'));
+        };
+        throw fnErr;
+      }, function(err) {
+        try {
+          err.should.equal(fnErr);
+          DBConnection._getPoolUtilization().should.equal(0);
+          return done();
+        } catch (e) {
+          return done(e);
+        }
+      });
+    });
+
+    context('with a retry policy', function() {
+      var serializationFailure = function() {
+        var err = new Error('could not serialize access due to concurrent update');
+        err.code = '40001';
+        return err;
+      };
+
+      it('runs the transaction again on a serialization failure', function(done) {
+        var attempts = 0;
+        DBConnection.transaction({}, {retry: {minDelay: 1, maxDelay: 2}}, function(txn) {
+          attempts++;
+          if (attempts < 3) {
+            throw serializationFailure();
+          }
+          return txn.query('SELECT 1 AS foo');
+        }, function(err, result) {
+          try {
+            should(err).not.be.ok();
+            attempts.should.equal(3);
+            result.rowCount.should.equal(1);
+            DBConnection._getPoolUtilization().should.equal(0);
+            return done();
+          } catch (e) {
+            return done(e);
+          }
+        });
+      });
+
+      it('gives up after maxAttempts', function(done) {
+        var attempts = 0;
+        DBConnection.transaction({}, {retry: {maxAttempts: 2, minDelay: 1, maxDelay: 2}}, function(txn) {
+          attempts++;
+          throw serializationFailure();
+        }, function(err) {
+          try {
+            err.code.should.equal('40001');
+            attempts.should.equal(2);
+            return done();
+          } catch (e) {
+            return done(e);
+          }
+        });
+      });
+
+      it('does not retry other errors', function(done) {
+        var attempts = 0;
+        DBConnection.transaction({}, {retry: true}, function(txn) {
+          attempts++;
+          throw new Error('boom');
+        }, function(err) {
+          try {
+            err.message.should.equal('boom');
+            attempts.should.equal(1);
+            return done();
+          } catch (e) {
+            return done(e);
+          }
+        });
+      });
+    });
+  });
+
   return describe('begin', function() {
     it('returns a DBTransaction object', function(done) {
       return DBConnection.begin({}, function(err, txn) {
@@ -188,6 +804,41 @@ describe('DBConnection', function() {
       });
     });
 
+    it('begins a transaction with the given mode', function(done) {
+      var options = {isolationLevel: 'SERIALIZABLE', readOnly: true, deferrable: true};
+      return DBConnection.begin({}, options, function(err, txn) {
+        if (err) {
+          return done(err);
+        }
+        txn.query('SHOW transaction_isolation', function(err, result) {
+          try {
+            should(err).not.be.ok();
+            result.rows[0].transaction_isolation.should.equal('serializable');
+            txn.mode.readOnly.should.equal(true);
+            return txn.rollback(done);
+          } catch (e) {
+            return txn.rollback(function() {
+              return done(e);
+            });
+          }
+        });
+      });
+    });
+
+    it('rejects invalid modes without checking out a connection', function(done) {
+      var get = sandbox.spy(DBConnection, 'get');
+      return DBConnection.begin({}, {isolationLevel: 'REPEATABLE READ', deferrable: true}, function(err, txn) {
+        try {
+          err.message.should.match(/deferrable/);
+          should(txn).not.be.ok();
+          get.called.should.equal(false);
+          return done();
+        } catch (e) {
+          return done(e);
+        }
+      });
+    });
+
     return context('when the connection fails', function() {
       it('returns an error if the connection fails', function(done) {
         var dbErr;
@@ -196,7 +847,7 @@ describe('DBConnection', function() {
           conn.client.query = function(sql, values, cb) {
             return cb(dbErr);
           };
-          sandbox.stub(DBConnection, 'get', function(config, cb) {
+          sandbox.stub(DBConnection, 'get', function(config, options, cb) {
             return cb(null, conn);
           });
           return DBConnection.begin({}, function(err) {
@@ -220,7 +871,7 @@ describe('DBConnection', function() {
           conn.client.query = function(sql, values, cb) {
             return cb(dbErr);
           };
-          sandbox.stub(DBConnection, 'get', function(config, cb) {
+          sandbox.stub(DBConnection, 'get', function(config, options, cb) {
             return cb(null, conn);
           });
           return DBConnection.begin({}, function(err) {
@@ -4,6 +4,8 @@ var should = require('should');
 
 var DBConnection = require('../DBConnection');
 var DBTransaction = require('../DBTransaction');
+var Errors = require('../Errors');
+var Testing = require('../Testing');
 
 var getPhoto = function(id, callback) {
   pg.connect(function(err, client, release) {
@@ -57,6 +59,24 @@ describe('DBTransaction', function() {
       });
     });
   });
+  it('should commit a transaction using promises', function() {
+    return DBConnection.begin({}).then(function(txn) {
+      return txn.query("INSERT INTO photos (id) VALUES ('pho_123')").then(function() {
+        return txn.commit();
+      });
+    }).then(function() {
+      return new Promise(function(resolve, reject) {
+        getPhoto('pho_123', function(err, photo) {
+          if (err) {
+            return reject(err);
+          }
+          resolve(photo);
+        });
+      });
+    }).then(function(photo) {
+      photo.id.should.equal('pho_123');
+    });
+  });
   it('changes made in a transaction should not be visible to other transactions', function(done) {
     return DBConnection.begin({}, function(err, txn) {
       return txn.query("INSERT INTO photos (id) VALUES ('pho_123')", function(err, result) {
@@ -146,6 +166,395 @@ describe('DBTransaction', function() {
       txn.commit(done);
     });
   });
+  describe('state', function() {
+    it('starts out active', function(done) {
+      DBConnection.begin({}, function(err, txn) {
+        txn.state.should.equal(DBTransaction.ACTIVE);
+        txn.rollback(done);
+      });
+    });
+
+    it('rejects queries after a commit without reaching the client', function(done) {
+      DBConnection.begin({}, function(err, txn) {
+        var client = txn.conn.client;
+        txn.commit(function(err) {
+          should(err).equal(null);
+          txn.state.should.equal(DBTransaction.COMMITTED);
+          client.query = function() {
+            throw new Error('query should not reach the client');
+          };
+          txn.query('SELECT 1', function(err) {
+            err.should.be.an.instanceof(Errors.InvalidStateError);
+            err.message.should.match(/already been committed/);
+            done();
+          });
+        });
+      });
+    });
+
+    it('rejects a second rollback', function(done) {
+      DBConnection.begin({}, function(err, txn) {
+        txn.rollback(function(err) {
+          should(err).equal(null);
+          txn.state.should.equal(DBTransaction.ROLLED_BACK);
+          txn.rollback(function(err) {
+            err.should.be.an.instanceof(Errors.InvalidStateError);
+            done();
+          });
+        });
+      });
+    });
+
+    it('reports that a failed transaction was aborted on commit', function(done) {
+      DBConnection.begin({}, function(err, txn) {
+        txn.query('SELECT * FROM nonexistent_table', function(queryErr) {
+          txn.state.should.equal(DBTransaction.FAILED);
+          txn.commit(function(err) {
+            err.should.be.an.instanceof(Errors.TransactionAbortedError);
+            err.cause.should.equal(queryErr);
+            DBConnection._getPoolUtilization().should.equal(0);
+            done();
+          });
+        });
+      });
+    });
+
+    it('lets a failed transaction be rolled back', function(done) {
+      DBConnection.begin({}, function(err, txn) {
+        txn.query('SELECT * FROM nonexistent_table', function(queryErr) {
+          txn.rollback(function(err) {
+            should(err).equal(null);
+            txn.state.should.equal(DBTransaction.ROLLED_BACK);
+            done();
+          });
+        });
+      });
+    });
+
+    it('reports a transaction aborted inside a savepoint on commit', function(done) {
+      DBConnection.begin({}, function(err, txn) {
+        txn.savepoint(function(err, sp) {
+          sp.query('SELECT * FROM nonexistent_table', function(queryErr) {
+            // The caller forgot to roll back the savepoint, so Postgres
+            // rolls back the whole transaction on COMMIT.
+            txn.commit(function(err) {
+              err.should.be.an.instanceof(Errors.TransactionAbortedError);
+              txn.state.should.equal(DBTransaction.FAILED);
+              DBConnection._getPoolUtilization().should.equal(0);
+              done();
+            });
+          });
+        });
+      });
+    });
+  });
+
+  describe('savepoints', function() {
+    it('keeps the savepoint\'s changes when it is committed', function(done) {
+      DBConnection.begin({}, function(err, txn) {
+        txn.savepoint(function(err, sp) {
+          should(err).equal(null);
+          sp.query("INSERT INTO photos (id) VALUES ('pho_123')", function(err) {
+            should(err).equal(null);
+            sp.commit(function(err) {
+              should(err).equal(null);
+              txn.commit(function(err) {
+                should(err).equal(null);
+                getPhoto('pho_123', function(err, photo) {
+                  photo.id.should.equal('pho_123');
+                  done();
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('undoes the savepoint\'s changes when it is rolled back', function(done) {
+      DBConnection.begin({}, function(err, txn) {
+        txn.query("INSERT INTO photos (id) VALUES ('pho_123')", function(err) {
+          txn.savepoint('inner', function(err, sp) {
+            sp.name.should.equal('inner');
+            sp.query("INSERT INTO photos (id) VALUES ('pho_456')", function(err) {
+              sp.rollback(function(err) {
+                should(err).equal(null);
+                txn.query("SELECT id FROM photos ORDER BY id", function(err, result) {
+                  result.rows.should.eql([{id: 'pho_123'}]);
+                  txn.rollback(done);
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('leaves the transaction usable after a failed query', function(done) {
+      DBConnection.begin({}, function(err, txn) {
+        txn.query("INSERT INTO photos (id) VALUES ('pho_123')", function(err) {
+          txn.savepoint(function(err, sp) {
+            sp.query('SELECT * FROM nonexistent_table', function(err) {
+              err.should.be.an.instanceof(Error);
+              txn.conn._released.should.equal(false);
+              sp.rollback(function(err) {
+                should(err).equal(null);
+                txn.commit(function(err) {
+                  should(err).equal(null);
+                  getPhoto('pho_123', function(err, photo) {
+                    photo.id.should.equal('pho_123');
+                    done();
+                  });
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('fails nested savepoints once the enclosing one is rolled back', function(done) {
+      DBConnection.begin({}, function(err, txn) {
+        txn.savepoint('outer', function(err, outer) {
+          outer.savepoint('inner', function(err, inner) {
+            should(err).equal(null);
+            outer.rollback(function(err) {
+              should(err).equal(null);
+              inner.query('SELECT 1', function(err) {
+                err.should.be.an.instanceof(Errors.InvalidStateError);
+                err.message.should.match(/inside one that has already been rolled back/);
+                outer.savepoint(function(err) {
+                  err.should.be.an.instanceof(Errors.InvalidStateError);
+                  // The transaction wasn't sent anything, so it's still usable.
+                  txn.commit(done);
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('fails savepoints once the transaction has been rolled back', function(done) {
+      DBConnection.begin({}, function(err, txn) {
+        txn.savepoint(function(err, sp) {
+          txn.rollback(function(err) {
+            should(err).equal(null);
+            sp.commit(function(err) {
+              err.should.be.an.instanceof(Errors.InvalidStateError);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('rejects invalid savepoint names', function(done) {
+      DBConnection.begin({}, function(err, txn) {
+        txn.savepoint('foo; DROP TABLE photos', function(err, sp) {
+          err.message.should.match(/Invalid savepoint name/);
+          should(sp).not.be.ok();
+          txn.rollback(done);
+        });
+      });
+    });
+  });
+
+  describe('afterCommit and afterRollback', function() {
+    it('runs the commit hooks in order after the connection is released', function(done) {
+      var calls = [];
+      DBConnection.begin({}, function(err, txn) {
+        txn.afterCommit(function() {
+          txn.conn.state.should.equal(DBConnection.RELEASED);
+          calls.push(1);
+        });
+        txn.afterCommit(function() { calls.push(2); });
+        txn.afterRollback(function() { calls.push('rollback'); });
+        txn.commit(function(err) {
+          should(err).equal(null);
+          calls.should.eql([1, 2]);
+          done();
+        });
+      });
+    });
+
+    it('runs the rollback hooks on rollback', function(done) {
+      var calls = [];
+      DBConnection.begin({}, function(err, txn) {
+        txn.afterCommit(function() { calls.push('commit'); });
+        txn.afterRollback(function() { calls.push('rollback'); });
+        txn.rollback(function(err) {
+          should(err).equal(null);
+          calls.should.eql(['rollback']);
+          done();
+        });
+      });
+    });
+
+    it('runs the rollback hooks when the commit fails', function(done) {
+      var calls = [];
+      DBConnection.begin({}, function(err, txn) {
+        txn.afterCommit(function() { calls.push('commit'); });
+        txn.afterRollback(function() { calls.push('rollback'); });
+        txn.query('SELECT * FROM nonexistent_table', function(err) {
+          txn.commit(function(err) {
+            err.should.be.an.instanceof(Errors.TransactionAbortedError);
+            calls.should.eql(['rollback']);
+            txn.rollback(function(err) {
+              should(err).equal(null);
+              calls.should.eql(['rollback']);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('isolates errors thrown by hooks', function(done) {
+      var calls = [];
+      DBConnection.setHookLogger({error: function() { calls.push('logged'); }});
+      DBConnection.begin({}, function(err, txn) {
+        txn.afterCommit(function() { throw new Error('boom'); });
+        txn.afterCommit(function() { calls.push('second'); });
+        txn.commit(function(err) {
+          DBConnection.setHookLogger(null);
+          should(err).equal(null);
+          calls.should.eql(['logged', 'second']);
+          done();
+        });
+      });
+    });
+
+    it('rejects hooks once the transaction has finished', function(done) {
+      DBConnection.begin({}, function(err, txn) {
+        txn.commit(function(err) {
+          (function() {
+            txn.afterCommit(function() {});
+          }).should.throw(Errors.InvalidStateError);
+          done();
+        });
+      });
+    });
+  });
+
+  describe('advisory locks', function() {
+    it('holds the lock until the transaction ends', function(done) {
+      DBConnection.begin({}, function(err, txn) {
+        txn.advisoryLock('pickup:pku_123', function(err) {
+          should(err).equal(null);
+          DBConnection.begin({}, function(err, other) {
+            other.tryAdvisoryLock('pickup:pku_123', function(err, locked) {
+              should(err).equal(null);
+              locked.should.equal(false);
+              txn.commit(function(err) {
+                other.tryAdvisoryLock('pickup:pku_123', function(err, locked) {
+                  should(err).equal(null);
+                  locked.should.equal(true);
+                  other.rollback(done);
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+
+  describe('cursors', function() {
+    it('reads rows in batches inside the transaction', function(done) {
+      DBConnection.begin({}, function(err, txn) {
+        var cursor = txn.cursor('SELECT * FROM generate_series(1, $1) AS n', [5], {batchSize: 2});
+        cursor.fetch(function(err, rows) {
+          should(err).equal(null);
+          rows.map(function(r) { return r.n; }).should.eql([1, 2]);
+          cursor.close(function(err) {
+            should(err).equal(null);
+            txn.query('SELECT 1', function(err) {
+              should(err).equal(null);
+              txn.commit(done);
+            });
+          });
+        });
+      });
+    });
+
+    it('throws if the transaction has been committed', function(done) {
+      DBConnection.begin({}, function(err, txn) {
+        txn.commit(function(err) {
+          (function() {
+            txn.cursor('SELECT 1');
+          }).should.throw(Errors.InvalidStateError);
+          done();
+        });
+      });
+    });
+  });
+
+  describe('copy', function() {
+    var withTable = function(cb) {
+      DBConnection.begin({}, function(err, txn) {
+        if (err) {
+          return cb(err);
+        }
+        txn.query('CREATE TEMPORARY TABLE copied (id integer, name text) ON COMMIT DROP', function(err) {
+          cb(err, txn);
+        });
+      });
+    };
+
+    it('copies rows in and out', function(done) {
+      withTable(function(err, txn) {
+        if (err) {
+          return done(err);
+        }
+        txn.copyFrom('copied', ['id', 'name'], [[1, 'a,"b"'], [2, null], [3, '']], function(err, rowCount) {
+          should(err).equal(null);
+          rowCount.should.equal(3);
+          var chunks = [];
+          txn.copyTo('SELECT id, name FROM copied ORDER BY id').on('data', function(chunk) {
+            chunks.push(chunk.toString());
+          }).on('end', function() {
+            chunks.join('').should.equal('1,"a,""b"""\n2,\n3,""\n');
+            txn.rollback(done);
+          }).on('error', done);
+        });
+      });
+    });
+
+    it('fails the transaction when the COPY fails', function(done) {
+      withTable(function(err, txn) {
+        if (err) {
+          return done(err);
+        }
+        txn.copyFrom('copied', ['id', 'name'], [['not a number', 'a']], function(err) {
+          err.should.be.an["instanceof"](Errors.DataError);
+          txn.state.should.equal(DBTransaction.FAILED);
+          txn.rollback(done);
+        });
+      });
+    });
+
+    it('inserts rows in batches', function(done) {
+      withTable(function(err, txn) {
+        if (err) {
+          return done(err);
+        }
+        var rows = [];
+        for (var i = 0; i < 5; i++) {
+          rows.push({id: i, name: 'row ' + i});
+        }
+        txn.bulkInsert('copied', ['id', 'name'], rows, {batchSize: 2}, function(err, count) {
+          should(err).equal(null);
+          count.should.equal(5);
+          txn.query('SELECT count(*)::int AS n FROM copied', function(err, result) {
+            result.rows[0].n.should.equal(5);
+            txn.rollback(done);
+          });
+        });
+      });
+    });
+  });
+
   it('should release connections after a rollback', function(done) {
     DBConnection._getPoolUtilization().should.equal(0);
     return DBConnection.begin({}, function(err, txn) {
@@ -155,4 +564,45 @@ describe('DBTransaction', function() {
       });
     });
   });
+
+  describe('settings in a nested transaction', function() {
+    Testing.transactionPerTest({});
+
+    var currentUser = function(cb) {
+      DBConnection.get({}, function(err, conn) {
+        if (err) {
+          return cb(err);
+        }
+        conn.query("SELECT current_setting('app.current_user_id', true) AS id", function(err, result) {
+          conn.release();
+          cb(err, err ? null : result.rows[0].id);
+        });
+      });
+    };
+
+    [['commits', 'commit'], ['rolls back', 'rollback']].forEach(function(outcome) {
+      it('puts back the outer transaction\'s values when the nested transaction ' + outcome[0], function(done) {
+        DBConnection.get({}, function(err, conn) {
+          conn.query("SELECT set_config('app.current_user_id', 'usr_outer', true)", function(err) {
+            conn.release();
+            should(err).equal(null);
+            DBConnection.begin({}, {settings: {'app.current_user_id': 'usr_nested'}}, function(err, txn) {
+              should(err).equal(null);
+              txn.query("SELECT current_setting('app.current_user_id', true) AS id", function(err, result) {
+                result.rows[0].id.should.equal('usr_nested');
+                txn[outcome[1]](function(err) {
+                  should(err).equal(null);
+                  currentUser(function(err, id) {
+                    should(err).equal(null);
+                    id.should.equal('usr_outer');
+                    done();
+                  });
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+  });
 });
@@ -0,0 +1,90 @@
+// Copyright 2015 Shyp, Inc.
+var should = require('should');
+
+var Errors = require('../Errors.js');
+
+var pgError = function(code, props) {
+  var err = new Error('error from postgres');
+  err.code = code;
+  Object.keys(props || {}).forEach(function(key) {
+    err[key] = props[key];
+  });
+  return err;
+};
+
+describe('Errors', function() {
+  describe('wrap', function() {
+    it('maps unique violations and keeps the details', function() {
+      var original = pgError('23505', {
+        table: 'photos',
+        constraint: 'photos_pkey',
+        detail: 'Key (id)=(pho_123) already exists.',
+      });
+      var err = Errors.wrap(original, {text: 'INSERT INTO photos (id) VALUES ($1)', values: ['pho_123']});
+      err.should.be.an.instanceof(Errors.UniqueViolationError);
+      err.should.be.an.instanceof(Errors.IntegrityConstraintViolationError);
+      err.should.be.an.instanceof(Errors.StatementError);
+      err.should.be.an.instanceof(Errors.DatabaseError);
+      err.should.be.an.instanceof(Error);
+      err.name.should.equal('UniqueViolationError');
+      err.message.should.equal('error from postgres');
+      err.cause.should.equal(original);
+      err.code.should.equal('23505');
+      err.table.should.equal('photos');
+      err.constraint.should.equal('photos_pkey');
+      err.detail.should.match(/already exists/);
+      err.sql.should.equal('INSERT INTO photos (id) VALUES ($1)');
+      err.retryable.should.equal(false);
+    });
+
+    it('maps each known SQLSTATE code', function() {
+      Errors.wrap(pgError('23503')).should.be.an.instanceof(Errors.ForeignKeyViolationError);
+      Errors.wrap(pgError('23502')).should.be.an.instanceof(Errors.NotNullViolationError);
+      Errors.wrap(pgError('23514')).should.be.an.instanceof(Errors.CheckViolationError);
+      Errors.wrap(pgError('42601')).should.be.an.instanceof(Errors.SqlSyntaxError);
+      Errors.wrap(pgError('57014')).should.be.an.instanceof(Errors.QueryCanceledError);
+    });
+
+    it('marks serialization failures and deadlocks as retryable', function() {
+      var err = Errors.wrap(pgError('40001'), 'COMMIT');
+      err.should.be.an.instanceof(Errors.SerializationFailureError);
+      err.retryable.should.equal(true);
+      err = Errors.wrap(pgError('40P01'));
+      err.should.be.an.instanceof(Errors.DeadlockError);
+      err.retryable.should.equal(true);
+    });
+
+    it('falls back to the SQLSTATE class', function() {
+      Errors.wrap(pgError('22012')).should.be.an.instanceof(Errors.DataError);
+      Errors.wrap(pgError('08006')).should.be.an.instanceof(Errors.ConnectionError);
+      Errors.wrap(pgError('XX000')).should.be.an.instanceof(Errors.StatementError);
+    });
+
+    it('separates connection errors from statement errors', function() {
+      var err = Errors.wrap(pgError('ECONNRESET'), 'SELECT 1');
+      err.should.be.an.instanceof(Errors.ConnectionError);
+      err.should.not.be.an.instanceof(Errors.StatementError);
+      err = Errors.wrap(pgError('57P01'));
+      err.should.be.an.instanceof(Errors.ConnectionError);
+    });
+
+    it('leaves errors without a code alone', function() {
+      var original = new Error('boom');
+      Errors.wrap(original).should.equal(original);
+      should(Errors.wrap(null)).equal(null);
+    });
+
+    it('does not wrap twice', function() {
+      var err = Errors.wrap(pgError('23505'));
+      Errors.wrap(err).should.equal(err);
+    });
+  });
+
+  describe('wrapConnectionError', function() {
+    it('treats every error from connecting as a connection error', function() {
+      var err = Errors.wrapConnectionError(pgError('28P01'));
+      err.should.be.an.instanceof(Errors.ConnectionError);
+      err.code.should.equal('28P01');
+    });
+  });
+});
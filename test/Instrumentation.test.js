@@ -0,0 +1,144 @@
+// Copyright 2015 Shyp, Inc.
+var should = require('should');
+var sinon = require('sinon');
+
+var Instrumentation = require('../Instrumentation.js');
+var Metrics = require('../Metrics.js');
+
+describe('Instrumentation', function() {
+  var conn = {pool: 'default'};
+  var removers = [];
+  var metrics = null;
+
+  beforeEach(function() {
+    metrics = new Metrics.Memory();
+    Metrics.setBackend(metrics);
+  });
+
+  afterEach(function() {
+    removers.forEach(function(remove) {
+      remove();
+    });
+    removers = [];
+    Metrics.setBackend(null);
+  });
+
+  describe('normalize', function() {
+    it('strips string and numeric literals', function() {
+      Instrumentation.normalize("SELECT * FROM photos WHERE id = 'pho_123' AND size > 10.5")
+        .should.equal('SELECT * FROM photos WHERE id = ? AND size > ?');
+    });
+
+    it('collapses lists and parameters', function() {
+      Instrumentation.normalize('SELECT * FROM photos WHERE id IN ($1, $2, $3)')
+        .should.equal('SELECT * FROM photos WHERE id IN (?)');
+      Instrumentation.normalize('SELECT * FROM photos WHERE id IN (1,2)')
+        .should.equal('SELECT * FROM photos WHERE id IN (?)');
+    });
+
+    it('handles escaped quotes, comments and whitespace', function() {
+      Instrumentation.normalize("SELECT  'it''s' -- comment\n  FROM /* hi */ t")
+        .should.equal('SELECT ? FROM t');
+    });
+
+    it('leaves identifiers with digits alone', function() {
+      Instrumentation.normalize('SELECT col1 FROM table2').should.equal('SELECT col1 FROM table2');
+    });
+  });
+
+  describe('fingerprint', function() {
+    it('is the same for queries that differ only in their literals', function() {
+      Instrumentation.fingerprint("SELECT * FROM t WHERE id = 'a'")
+        .should.equal(Instrumentation.fingerprint("SELECT * FROM t WHERE id = 'b'"));
+      Instrumentation.fingerprint('SELECT * FROM t')
+        .should.not.equal(Instrumentation.fingerprint('SELECT * FROM u'));
+    });
+  });
+
+  describe('hooks', function() {
+    it('runs before and after hooks with redacted values', function() {
+      var hook = {before: sinon.spy(), after: sinon.spy()};
+      removers.push(Instrumentation.addHook(hook));
+      var state = Instrumentation.start(conn, 'SELECT $1::int', [5]);
+      Instrumentation.finish(state, null, {rowCount: 1});
+      var before = hook.before.firstCall.args[0];
+      before.sql.should.equal('SELECT $1::int');
+      before.paramCount.should.equal(1);
+      before.values.should.eql(['[REDACTED]']);
+      before.pool.should.equal('default');
+      var after = hook.after.firstCall.args[0];
+      after.rowCount.should.equal(1);
+      should(after.error).equal(null);
+      after.duration.should.be.within(0, 100);
+    });
+
+    it('shows values to hooks that ask for them', function() {
+      var hook = {before: sinon.spy()};
+      removers.push(Instrumentation.addHook(hook, {redactValues: false}));
+      Instrumentation.start(conn, {text: 'SELECT $1::int'}, [5]);
+      hook.before.firstCall.args[0].values.should.eql([5]);
+    });
+
+    it('reports errors to after hooks', function() {
+      var hook = {after: sinon.spy()};
+      removers.push(Instrumentation.addHook(hook));
+      var err = new Error('boom');
+      Instrumentation.finish(Instrumentation.start(conn, 'SELECT 1', []), err);
+      hook.after.firstCall.args[0].error.should.equal(err);
+      should(hook.after.firstCall.args[0].rowCount).equal(null);
+    });
+
+    it('isolates errors thrown by hooks', function() {
+      removers.push(Instrumentation.addHook({before: function() {
+        throw new Error('broken hook');
+      }}));
+      Instrumentation.start(conn, 'SELECT 1', []);
+      metrics.count('db.query.hook.error').should.equal(1);
+    });
+
+    it('does nothing without hooks', function() {
+      should(Instrumentation.start(conn, 'SELECT 1', [])).equal(null);
+    });
+
+    it('removes hooks', function() {
+      var hook = {before: sinon.spy()};
+      Instrumentation.addHook(hook)();
+      Instrumentation.start(conn, 'SELECT 1', []);
+      hook.before.called.should.equal(false);
+    });
+  });
+
+  describe('slowQueryLogger', function() {
+    it('logs queries over the threshold without their values', function() {
+      var logger = {warn: sinon.spy()};
+      var hook = Instrumentation.slowQueryLogger({threshold: 100, logger: logger});
+      hook.after({sql: "SELECT * FROM users WHERE email = 'a@b.com'", duration: 50, paramCount: 0, pool: 'default'});
+      logger.warn.called.should.equal(false);
+      hook.after({sql: "SELECT * FROM users WHERE email = 'a@b.com'", duration: 150, paramCount: 0, pool: 'default'});
+      logger.warn.calledOnce.should.equal(true);
+      logger.warn.firstCall.args[0].should.match(/150ms/);
+      logger.warn.firstCall.args[0].should.not.match(/a@b\.com/);
+      metrics.count('db.query.slow').should.equal(1);
+    });
+
+    it('requires a threshold', function() {
+      (function() {
+        Instrumentation.slowQueryLogger({});
+      }).should.throw(/threshold/);
+    });
+  });
+
+  describe('latencyMetrics', function() {
+    it('times queries by fingerprint', function() {
+      removers.push(Instrumentation.addHook(Instrumentation.latencyMetrics()));
+      var state = Instrumentation.start(conn, "SELECT * FROM t WHERE id = 'a'", []);
+      state.start -= 1000;
+      Instrumentation.finish(state, new Error('boom'));
+      var fingerprint = Instrumentation.fingerprint('SELECT * FROM t WHERE id = ?');
+      var timings = metrics.find('db.query.latency', {fingerprint: fingerprint});
+      timings.length.should.equal(1);
+      timings[0].value.should.be.within(1000, 1100);
+      metrics.count('db.query.error', {pool: 'default'}).should.equal(1);
+    });
+  });
+});
@@ -0,0 +1,77 @@
+// Copyright 2015 Shyp, Inc.
+var dgram = require('dgram');
+var should = require('should');
+
+var Metrics = require('../Metrics.js');
+
+describe('Metrics', function() {
+  afterEach(function() {
+    Metrics.setBackend(null);
+  });
+
+  it('discards measurements by default', function() {
+    var memory = new Metrics.Memory();
+    Metrics.increment('db.txn.begin.success');
+    Metrics.setBackend(memory);
+    memory.records.should.eql([]);
+  });
+
+  it('sends measurements to the backend', function() {
+    var memory = new Metrics.Memory();
+    Metrics.setBackend(memory);
+    Metrics.increment('db.txn.begin.success', {isolation: 'serializable'});
+    Metrics.measure('db.txn_conn_pool.count', 3);
+    memory.count('db.txn.begin.success').should.equal(1);
+    memory.count('db.txn.begin.success', {isolation: 'serializable'}).should.equal(1);
+    memory.count('db.txn.begin.success', {isolation: 'default'}).should.equal(0);
+    memory.find('db.txn_conn_pool.count')[0].value.should.equal(3);
+  });
+
+  it('rejects backends that are missing methods', function() {
+    (function() {
+      Metrics.setBackend({increment: function() {}});
+    }).should.throw(/missing a measure method/);
+  });
+
+  describe('StatsD', function() {
+    var server = null;
+    beforeEach(function(done) {
+      server = dgram.createSocket('udp4');
+      server.bind(0, '127.0.0.1', done);
+    });
+
+    afterEach(function() {
+      server.close();
+    });
+
+    it('sends counters with tags', function(done) {
+      var statsd = new Metrics.StatsD({host: '127.0.0.1', port: server.address().port, prefix: 'app.'});
+      server.once('message', function(msg) {
+        try {
+          msg.toString().should.equal('app.db.txn.commit.success:1|c|#pool:default,outcome:success');
+          statsd.close();
+          done();
+        } catch (e) {
+          statsd.close();
+          done(e);
+        }
+      });
+      statsd.increment('db.txn.commit.success', {pool: 'default', outcome: 'success'});
+    });
+
+    it('sends gauges', function(done) {
+      var statsd = new Metrics.StatsD({host: '127.0.0.1', port: server.address().port});
+      server.once('message', function(msg) {
+        try {
+          msg.toString().should.equal('db.txn_conn_pool.count:4|g');
+          statsd.close();
+          done();
+        } catch (e) {
+          statsd.close();
+          done(e);
+        }
+      });
+      statsd.measure('db.txn_conn_pool.count', 4);
+    });
+  });
+});
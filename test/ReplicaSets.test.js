@@ -0,0 +1,131 @@
+// Copyright 2015 Shyp, Inc.
+var pg = require('pg');
+var should = require('should');
+var sinon = require('sinon');
+
+var Metrics = require('../Metrics.js');
+var Pools = require('../Pools.js');
+var ReplicaSets = require('../ReplicaSets.js');
+
+describe('ReplicaSets', function() {
+  var metrics = null;
+  var sandbox = null;
+  beforeEach(function() {
+    sandbox = sinon.sandbox.create();
+    metrics = new Metrics.Memory();
+    Metrics.setBackend(metrics);
+    ReplicaSets.define('main', {
+      primary: {host: 'db1'},
+      replicas: [{host: 'db2'}, {host: 'db3'}],
+    });
+  });
+
+  afterEach(function() {
+    ReplicaSets.remove('main');
+    Metrics.setBackend(null);
+    sandbox.restore();
+  });
+
+  it('sends reads to the replicas in turn', function() {
+    ReplicaSets.route('main', true).should.equal('main:replica1');
+    ReplicaSets.route('main', true).should.equal('main:replica2');
+    ReplicaSets.route('main', true).should.equal('main:replica1');
+  });
+
+  it('sends everything else to the primary', function() {
+    ReplicaSets.route('main', false).should.equal('main');
+    ReplicaSets.route('main').should.equal('main');
+    var config = {host: 'db4'};
+    ReplicaSets.route(config, true).should.equal(config);
+  });
+
+  it('skips ejected replicas until retryAfter has passed', function() {
+    var clock = sandbox.useFakeTimers(1000);
+    ReplicaSets.eject('main:replica1');
+    metrics.count('db.replica.ejected', {pool: 'main:replica1'}).should.equal(1);
+    ReplicaSets.route('main', true).should.equal('main:replica2');
+    ReplicaSets.route('main', true).should.equal('main:replica2');
+    clock.tick(30 * 1000);
+    ReplicaSets.route('main', true).should.equal('main:replica1');
+  });
+
+  it('falls back to the primary when no replica is usable', function() {
+    ReplicaSets.eject('main:replica1');
+    ReplicaSets.eject('main:replica2');
+    ReplicaSets.route('main', true).should.equal('main');
+    metrics.count('db.replica.fallback', {pool: 'main'}).should.equal(1);
+  });
+
+  it('knows which pools are replicas', function() {
+    ReplicaSets.isReplica('main:replica2').should.equal(true);
+    ReplicaSets.isReplica('main').should.equal(false);
+  });
+
+  it('rejects replica sets without a primary', function() {
+    (function() {
+      ReplicaSets.define('other', {replicas: []});
+    }).should.throw(/needs a primary config/);
+  });
+
+  it('defines nothing if a replica config is bad', function() {
+    (function() {
+      ReplicaSets.define('half', {primary: {host: 'db5'}, replicas: [{host: 'db6'}, null]});
+    }).should.throw(/replica 2 for replica set half must be a config object/);
+    (function() {
+      Pools.resolve('half');
+    }).should.throw(/No pool named "half"/);
+    (function() {
+      Pools.resolve('half:replica1');
+    }).should.throw(/No pool named "half:replica1"/);
+    (function() {
+      ReplicaSets.define('main', {primary: {host: 'db5'}, replicas: ['db6']});
+    }).should.throw(/replica 1 for replica set main/);
+    Pools.resolve('main').config.host.should.equal('db1');
+    ReplicaSets.route('main', true).should.equal('main:replica1');
+  });
+
+  describe('with maxLag', function() {
+    beforeEach(function() {
+      ReplicaSets.define('main', {
+        primary: {host: 'db1'},
+        replicas: [{host: 'db2'}, {host: 'db3'}],
+        maxLag: 1000,
+      });
+    });
+
+    it('stops sending reads to replicas that fall behind', function(done) {
+      var lags = {db2: '5000', db3: '0'};
+      sandbox.stub(pg, 'connect', function(config, cb) {
+        var client = {
+          query: function(sql, cb) {
+            cb(null, {rows: [{lag: lags[config.host]}]});
+          },
+        };
+        cb(null, client, function() {});
+      });
+      ReplicaSets.checkLag('main', function(err) {
+        should(err).equal(null);
+        ReplicaSets.status('main').should.eql([
+          {pool: 'main:replica1', ejected: false, lag: 5000, lagging: true},
+          {pool: 'main:replica2', ejected: false, lag: 0, lagging: false},
+        ]);
+        metrics.find('db.replica.lag', {pool: 'main:replica1'})[0].value.should.equal(5000);
+        ReplicaSets.route('main', true).should.equal('main:replica2');
+        ReplicaSets.route('main', true).should.equal('main:replica2');
+        done();
+      });
+    });
+
+    it('ejects replicas that cannot be checked', function(done) {
+      sandbox.stub(pg, 'connect', function(config, cb) {
+        cb(new Error('connection refused'));
+      });
+      ReplicaSets.checkLag('main', function(err) {
+        should(err).equal(null);
+        ReplicaSets.status('main')[0].ejected.should.equal(true);
+        ReplicaSets.route('main', true).should.equal('main');
+        done();
+      });
+    });
+  });
+});
@@ -0,0 +1,115 @@
+// Copyright 2015 Shyp, Inc.
+var should = require('should');
+
+var DBConnection = require('../DBConnection.js');
+var Retry = require('../Retry.js');
+var Testing = require('../Testing.js');
+
+describe('Retry', function() {
+  describe('policy', function() {
+    it('returns null when retries are disabled', function() {
+      should(Retry.policy(undefined)).equal(null);
+      should(Retry.policy(false)).equal(null);
+    });
+
+    it('uses the defaults for `true`', function() {
+      var policy = Retry.policy(true);
+      policy.maxAttempts.should.equal(3);
+      policy.codes.should.eql(['40001', '40P01']);
+    });
+
+    it('accepts custom settings', function() {
+      var policy = Retry.policy({maxAttempts: 5, minDelay: 1, maxDelay: 2, codes: ['40001']});
+      policy.should.eql({maxAttempts: 5, minDelay: 1, maxDelay: 2, codes: ['40001']});
+    });
+
+    it('rejects a minDelay greater than maxDelay', function() {
+      (function() {
+        Retry.policy({minDelay: 100, maxDelay: 10});
+      }).should.throw(/minDelay/);
+    });
+
+    it('keeps an explicit zero instead of using the default', function() {
+      Retry.policy({minDelay: 0}).minDelay.should.equal(0);
+      (function() {
+        Retry.policy({maxAttempts: 0});
+      }).should.throw(/maxAttempts must be at least 1, got 0/);
+    });
+
+    it('rejects a maxAttempts that is not a whole number', function() {
+      (function() {
+        Retry.policy({maxAttempts: 2.5});
+      }).should.throw(/maxAttempts must be an integer, got 2.5/);
+      (function() {
+        Retry.policy({maxAttempts: '3'});
+      }).should.throw(/maxAttempts must be an integer/);
+    });
+
+    it('rejects codes that are not an array', function() {
+      (function() {
+        Retry.policy({codes: '40001'});
+      }).should.throw(/codes must be an array/);
+    });
+  });
+
+  describe('with transaction', function() {
+    var fake = null;
+    beforeEach(function() {
+      fake = Testing.fake();
+    });
+
+    afterEach(function() {
+      fake.restore();
+    });
+
+    it('reports a bad retry option to the callback', function(done) {
+      DBConnection.transaction({}, {retry: {maxAttempts: 0}}, function(txn, cb) {
+        cb(null);
+      }, function(err) {
+        err.message.should.match(/maxAttempts must be at least 1/);
+        fake.queries.should.eql([]);
+        done();
+      });
+    });
+
+    it('rejects the Promise for a bad retry option', function() {
+      return DBConnection.transaction({}, {retry: {minDelay: 100, maxDelay: 10}}, function(txn, cb) {
+        cb(null);
+      }).then(function() {
+        throw new Error('transaction should have failed');
+      }, function(err) {
+        err.message.should.match(/minDelay/);
+      });
+    });
+  });
+
+  describe('isRetryable', function() {
+    var policy = Retry.policy(true);
+
+    it('retries serialization failures and deadlocks', function() {
+      var err = new Error('could not serialize access');
+      err.code = '40001';
+      Retry.isRetryable(policy, err).should.equal(true);
+      err.code = '40P01';
+      Retry.isRetryable(policy, err).should.equal(true);
+    });
+
+    it('does not retry other errors', function() {
+      var err = new Error('duplicate key value');
+      err.code = '23505';
+      Retry.isRetryable(policy, err).should.equal(false);
+      Retry.isRetryable(policy, new Error('boom')).should.equal(false);
+      Retry.isRetryable(policy, null).should.equal(false);
+    });
+  });
+
+  describe('delay', function() {
+    it('stays between zero and the backoff', function() {
+      var policy = Retry.policy({minDelay: 10, maxDelay: 50});
+      for (var attempt = 1; attempt < 10; attempt++) {
+        var delay = Retry.delay(policy, attempt);
+        delay.should.be.within(0, Math.min(50, 10 * Math.pow(2, attempt - 1)));
+      }
+    });
+  });
+});
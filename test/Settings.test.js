@@ -0,0 +1,228 @@
+// Copyright 2015 Shyp, Inc.
+var should = require('should');
+
+var DBConnection = require('../DBConnection.js');
+var Settings = require('../Settings.js');
+var SharedConnection = require('../SharedConnection.js');
+var Testing = require('../Testing.js');
+
+describe('Settings', function() {
+  describe('parse', function() {
+    it('formats values as the strings that will be sent', function() {
+      Settings.parse({
+        statement_timeout: 5000,
+        application_name: 'api',
+        'app.current_user_id': 'usr_123',
+        'app.is_admin': false,
+        search_path: ['tenant_1', 'public'],
+      }).should.eql({
+        statement_timeout: '5000',
+        application_name: 'api',
+        'app.current_user_id': 'usr_123',
+        'app.is_admin': 'off',
+        search_path: '"tenant_1", "public"',
+      });
+    });
+
+    it('quotes identifiers in lists', function() {
+      Settings.parse({search_path: ['we"ird']}).search_path.should.equal('"we""ird"');
+    });
+
+    it('returns null when there are no settings', function() {
+      should(Settings.parse(undefined)).equal(null);
+      should(Settings.parse(null)).equal(null);
+      should(Settings.parse({})).equal(null);
+    });
+
+    it('rejects invalid names', function() {
+      ['statement_timeout = 0; DROP TABLE users', 'app.user.id', '1abc', ''].forEach(function(name) {
+        var settings = {};
+        settings[name] = 'x';
+        (function() {
+          Settings.parse(settings);
+        }).should.throw(/Invalid setting name/);
+      });
+    });
+
+    it('rejects invalid values', function() {
+      [null, undefined, NaN, {}, [], [''], [1], 'a\u0000b'].forEach(function(value) {
+        (function() {
+          Settings.parse({lock_timeout: value});
+        }).should.throw(/Settings: /);
+      });
+      (function() {
+        Settings.parse('statement_timeout=0');
+      }).should.throw(/should be an object/);
+    });
+  });
+
+  describe('statements', function() {
+    it('sends names and values as parameters', function() {
+      var parsed = Settings.parse({lock_timeout: 100, 'app.current_user_id': 'usr_123'});
+      Settings.setStatement(parsed, true).should.eql({
+        text: 'SELECT set_config($1, $2, true), set_config($3, $4, true)',
+        values: ['lock_timeout', '100', 'app.current_user_id', 'usr_123'],
+      });
+      Settings.setStatement(parsed, false).text.should.equal('SELECT set_config($1, $2, false), set_config($3, $4, false)');
+      Settings.resetStatement(parsed).should.equal('RESET lock_timeout; RESET app.current_user_id');
+    });
+
+    it('saves and restores values for the current transaction', function() {
+      var parsed = Settings.parse({lock_timeout: 100, 'app.current_user_id': 'usr_123'});
+      Settings.currentStatement(parsed).should.eql({
+        text: 'SELECT current_setting($1, true) AS "lock_timeout", current_setting($2, true) AS "app.current_user_id"',
+        values: ['lock_timeout', 'app.current_user_id'],
+      });
+      Settings.restoreStatement(parsed, {lock_timeout: '0', 'app.current_user_id': null}).should.eql({
+        text: 'SELECT set_config($1, $2, true), set_config($3, $4, true)',
+        values: ['lock_timeout', '0', 'app.current_user_id', null],
+      });
+    });
+  });
+
+  describe('with connections', function() {
+    var fake = null;
+    beforeEach(function() {
+      fake = Testing.fake();
+    });
+
+    afterEach(function() {
+      fake.restore();
+    });
+
+    var texts = function() {
+      return fake.queries.map(function(query) {
+        return query.text;
+      });
+    };
+
+    it('sets transaction settings with SET LOCAL after BEGIN', function() {
+      var settings = {statement_timeout: 5000, 'app.current_user_id': 'usr_123'};
+      return DBConnection.begin({}, {settings: settings}).then(function(txn) {
+        txn.settings.should.eql({statement_timeout: '5000', 'app.current_user_id': 'usr_123'});
+        return txn.commit();
+      }).then(function() {
+        texts().should.eql([
+          'BEGIN',
+          'SELECT set_config($1, $2, true), set_config($3, $4, true)',
+          'COMMIT',
+        ]);
+        fake.queries[1].values.should.eql(['statement_timeout', '5000', 'app.current_user_id', 'usr_123']);
+      });
+    });
+
+    it('fails begin and releases the connection if the settings are rejected', function(done) {
+      fake.on(/set_config/, new Error('invalid value for parameter "statement_timeout"'));
+      DBConnection.begin({}, {settings: {statement_timeout: 'soon'}}, function(err, txn) {
+        err.message.should.match(/invalid value/);
+        should(txn).not.be.ok();
+        fake.released.should.equal(1);
+        done();
+      });
+    });
+
+    it('rejects invalid settings before checking out a connection', function(done) {
+      DBConnection.begin({}, {settings: {'bad name': 1}}, function(err) {
+        err.message.should.match(/Invalid setting name/);
+        fake.queries.should.eql([]);
+        DBConnection.get({}, {settings: {lock_timeout: null}}, function(err) {
+          err.message.should.match(/Invalid value for lock_timeout/);
+          fake.queries.should.eql([]);
+          done();
+        });
+      });
+    });
+
+    it('resets session settings before the connection goes back to the pool', function(done) {
+      DBConnection.get({}, {settings: {search_path: ['tenant_1']}}, function(err, conn) {
+        should(err).equal(null);
+        conn.query('SELECT 1', function(err) {
+          conn.release();
+          setImmediate(function() {
+            texts().should.eql([
+              'SELECT set_config($1, $2, false)',
+              'SELECT 1',
+              'RESET search_path',
+            ]);
+            fake.released.should.equal(1);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  describe('on a shared connection', function() {
+    var client = null;
+    beforeEach(function() {
+      client = new Testing.FakeClient();
+      client.on(/current_setting/, {rows: [{statement_timeout: '30s'}]});
+      SharedConnection.use(new SharedConnection.SharedConnection(client));
+    });
+
+    afterEach(function() {
+      SharedConnection.use(null);
+    });
+
+    it("sets them for the outer transaction only until it's released, even when it fails", function(done) {
+      client.on('SELECT pg_sleep(60)', new Error('canceling statement due to statement timeout'));
+      DBConnection.get({}, {settings: {statement_timeout: 5000}}, function(err, conn) {
+        should(err).equal(null);
+        conn.query('SELECT pg_sleep(60)', function(err) {
+          err.message.should.match(/statement timeout/);
+          conn.release(true);
+          setTimeout(function() {
+            client.queries.filter(function(query) {
+              return !/SAVEPOINT/.test(query.text);
+            }).should.eql([
+              {text: 'SELECT current_setting($1, true) AS "statement_timeout"', values: ['statement_timeout']},
+              {text: 'SELECT set_config($1, $2, true)', values: ['statement_timeout', '5000']},
+              {text: 'SELECT pg_sleep(60)', values: []},
+              {text: 'SELECT set_config($1, $2, true)', values: ['statement_timeout', '30s']},
+            ]);
+            done();
+          }, 10);
+        });
+      });
+    });
+
+    it('puts back the outer transaction\'s values when a nested transaction commits', function(done) {
+      DBConnection.begin({}, {settings: {statement_timeout: 5000}}, function(err, txn) {
+        should(err).equal(null);
+        txn.commit(function(err) {
+          should(err).equal(null);
+          setTimeout(function() {
+            client.queries.map(function(query) {
+              return query.text;
+            }).should.eql([
+              'SAVEPOINT "shared_sp_1"',
+              'SELECT current_setting($1, true) AS "statement_timeout"',
+              'SELECT set_config($1, $2, true)',
+              'RELEASE SAVEPOINT "shared_sp_1"',
+              // After the savepoint, so it's what the outer transaction sees.
+              'SAVEPOINT "shared_sp_2"',
+              'SELECT set_config($1, $2, true)',
+              'RELEASE SAVEPOINT "shared_sp_2"',
+            ]);
+            client.queries[5].values.should.eql(['statement_timeout', '30s']);
+            done();
+          }, 10);
+        });
+      });
+    });
+
+    it('puts back the outer transaction\'s values when a nested transaction rolls back', function(done) {
+      DBConnection.begin({}, {settings: {statement_timeout: 5000}}, function(err, txn) {
+        should(err).equal(null);
+        txn.rollback(function(err) {
+          should(err).equal(null);
+          setTimeout(function() {
+            var last = client.queries[client.queries.length - 2];
+            last.should.eql({text: 'SELECT set_config($1, $2, true)', values: ['statement_timeout', '30s']});
+            done();
+          }, 10);
+        });
+      });
+    });
+  });
+});
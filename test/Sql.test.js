@@ -0,0 +1,162 @@
+// Copyright 2015 Shyp, Inc.
+var should = require('should');
+
+var DBConnection = require('../DBConnection.js');
+var Sql = require('../Sql.js');
+var Testing = require('../Testing.js');
+
+var sql = Sql.sql;
+
+describe('Sql', function() {
+  describe('sql', function() {
+    it('numbers parameters', function() {
+      var query = sql`SELECT * FROM pickups WHERE driver_id = ${'drv_123'} AND state = ${'assigned'}`;
+      query.text.should.equal('SELECT * FROM pickups WHERE driver_id = $1 AND state = $2');
+      query.values.should.eql(['drv_123', 'assigned']);
+    });
+
+    it('sends values that look like SQL as parameters', function() {
+      var query = sql`SELECT * FROM users WHERE name = ${"'; DROP TABLE users; --"}`;
+      query.text.should.equal('SELECT * FROM users WHERE name = $1');
+      query.values.should.eql(["'; DROP TABLE users; --"]);
+    });
+
+    it('expands arrays into lists of parameters', function() {
+      var query = sql`SELECT * FROM pickups WHERE state IN (${['assigned', 'collected']}) AND id > ${5}`;
+      query.text.should.equal('SELECT * FROM pickups WHERE state IN ($1, $2) AND id > $3');
+      query.values.should.eql(['assigned', 'collected', 5]);
+    });
+
+    it('expands arrays of arrays into rows', function() {
+      var query = sql`INSERT INTO drivers (id, name) VALUES ${[['drv_1', 'Ann'], ['drv_2', 'Bo']]}`;
+      query.text.should.equal('INSERT INTO drivers (id, name) VALUES ($1, $2), ($3, $4)');
+      query.values.should.eql(['drv_1', 'Ann', 'drv_2', 'Bo']);
+    });
+
+    it('sends arrays wrapped in param as one parameter', function() {
+      var query = sql`SELECT * FROM pickups WHERE id = ANY(${Sql.param([1, 2])})`;
+      query.text.should.equal('SELECT * FROM pickups WHERE id = ANY($1)');
+      query.values.should.eql([[1, 2]]);
+    });
+
+    it('renumbers the parameters of nested fragments', function() {
+      var where = sql`WHERE driver_id = ${'drv_123'} AND state IN (${['assigned', 'collected']})`;
+      var query = sql`SELECT * FROM pickups ${where} LIMIT ${10}`;
+      query.text.should.equal('SELECT * FROM pickups WHERE driver_id = $1 AND state IN ($2, $3) LIMIT $4');
+      query.values.should.eql(['drv_123', 'assigned', 'collected', 10]);
+      where.text.should.equal('WHERE driver_id = $1 AND state IN ($2, $3)');
+    });
+
+    it('leaves out empty fragments', function() {
+      var query = sql`SELECT 1${Sql.empty}`;
+      query.text.should.equal('SELECT 1');
+      query.values.should.eql([]);
+    });
+
+    it('sends null as a parameter', function() {
+      var query = sql`UPDATE pickups SET driver_id = ${null}`;
+      query.text.should.equal('UPDATE pickups SET driver_id = $1');
+      query.values.should.eql([null]);
+    });
+
+    it('rejects undefined and empty arrays', function() {
+      (function() {
+        sql`SELECT ${undefined}`;
+      }).should.throw(/use null for NULL/);
+      (function() {
+        sql`SELECT * FROM pickups WHERE id IN (${[]})`;
+      }).should.throw(/empty array/);
+    });
+
+    it('must be used as a tag', function() {
+      (function() {
+        Sql.sql('SELECT * FROM users WHERE id = ' + 1);
+      }).should.throw(/template tag/);
+    });
+  });
+
+  describe('identifier', function() {
+    it('quotes names', function() {
+      sql`SELECT * FROM ${Sql.identifier('users')}`.text.should.equal('SELECT * FROM "users"');
+      Sql.identifier('public', 'users').text.should.equal('"public"."users"');
+      Sql.identifier('we"ird').text.should.equal('"we""ird"');
+    });
+
+    it('rejects names that are not non-empty strings', function() {
+      [[], [''], [1], ['users', null]].forEach(function(args) {
+        (function() {
+          Sql.identifier.apply(null, args);
+        }).should.throw(/identifier/);
+      });
+    });
+  });
+
+  describe('join', function() {
+    it('joins fragments and values', function() {
+      var conditions = [sql`driver_id = ${'drv_123'}`, sql`state = ${'assigned'}`];
+      var query = sql`SELECT * FROM pickups WHERE ${Sql.join(conditions, sql` AND `)}`;
+      query.text.should.equal('SELECT * FROM pickups WHERE driver_id = $1 AND state = $2');
+      query.values.should.eql(['drv_123', 'assigned']);
+      Sql.join([1, 2]).text.should.equal('$1, $2');
+    });
+
+    it('only takes a fragment as the separator', function() {
+      (function() {
+        Sql.join([1, 2], ' OR 1=1 OR ');
+      }).should.throw(/separator must be a sql fragment/);
+      (function() {
+        Sql.join([]);
+      }).should.throw(/non-empty array/);
+    });
+  });
+
+  describe('unsafeRaw', function() {
+    it('puts text in the query as it is', function() {
+      sql`SELECT * FROM pickups ORDER BY ${Sql.unsafeRaw('created_at DESC')}`.text
+        .should.equal('SELECT * FROM pickups ORDER BY created_at DESC');
+    });
+  });
+
+  describe('with query', function() {
+    var fake = null;
+    beforeEach(function() {
+      fake = Testing.fake();
+    });
+
+    afterEach(function() {
+      fake.restore();
+    });
+
+    it('sends the text and values', function(done) {
+      DBConnection.get({}, function(err, conn) {
+        conn.query(sql`SELECT * FROM pickups WHERE id IN (${[1, 2]})`, function(err) {
+          should(err).equal(null);
+          fake.queries.should.eql([{text: 'SELECT * FROM pickups WHERE id IN ($1, $2)', values: [1, 2]}]);
+          conn.release();
+          done();
+        });
+      });
+    });
+
+    it('works in transactions', function() {
+      return DBConnection.begin({}).then(function(txn) {
+        return txn.query(sql`UPDATE drivers SET busy = ${true}`).then(function() {
+          return txn.commit();
+        });
+      }).then(function() {
+        fake.queries[1].should.eql({text: 'UPDATE drivers SET busy = $1', values: [true]});
+      });
+    });
+
+    it('rejects values passed alongside a sql query', function(done) {
+      DBConnection.get({}, function(err, conn) {
+        conn.query(sql`SELECT ${1}`, [2], function(err) {
+          err.message.should.match(/carries its own values/);
+          fake.queries.should.eql([]);
+          conn.release();
+          done();
+        });
+      });
+    });
+  });
+});
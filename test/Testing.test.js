@@ -0,0 +1,240 @@
+// Copyright 2015 Shyp, Inc.
+var should = require('should');
+
+var DBConnection = require('../DBConnection.js');
+var DBTransaction = require('../DBTransaction.js');
+var Errors = require('../Errors.js');
+var Metrics = require('../Metrics.js');
+var SharedConnection = require('../SharedConnection.js');
+var Testing = require('../Testing.js');
+
+var texts = function(client) {
+  return client.queries.map(function(query) {
+    return query.text;
+  });
+};
+
+describe('Testing', function() {
+  describe('fake', function() {
+    var fake = null;
+    beforeEach(function() {
+      fake = Testing.fake();
+    });
+
+    afterEach(function() {
+      fake.restore();
+    });
+
+    it('records queries and answers with empty results by default', function(done) {
+      DBConnection.get({}, function(err, conn) {
+        conn.query('SELECT * FROM photos WHERE id = $1', ['pho_123'], function(err, result) {
+          should(err).equal(null);
+          result.rows.should.eql([]);
+          result.rowCount.should.equal(0);
+          result.command.should.equal('SELECT');
+          conn.release();
+          fake.queries.should.eql([{text: 'SELECT * FROM photos WHERE id = $1', values: ['pho_123']}]);
+          fake.released.should.equal(1);
+          done();
+        });
+      });
+    });
+
+    it('answers with scripted results and errors', function(done) {
+      var failure = new Error('duplicate key');
+      failure.code = '23505';
+      fake.on(/FROM photos/, {rows: [{id: 'pho_123'}]});
+      fake.on(/INSERT INTO photos/, failure, {times: 1});
+      DBConnection.begin({}, function(err, txn) {
+        txn.query('SELECT * FROM photos', function(err, result) {
+          result.rows.should.eql([{id: 'pho_123'}]);
+          txn.query("INSERT INTO photos (id) VALUES ('pho_123')", function(err) {
+            err.should.be.an.instanceof(Errors.UniqueViolationError);
+            txn.state.should.equal(DBTransaction.FAILED);
+            texts(fake).should.eql(['BEGIN', 'SELECT * FROM photos', "INSERT INTO photos (id) VALUES ('pho_123')"]);
+            done();
+          });
+        });
+      });
+    });
+
+    it("doesn't leave a failed commit nobody waits for unhandled", function(done) {
+      var unhandled = [];
+      var onUnhandled = function(err) {
+        unhandled.push(err);
+      };
+      process.on('unhandledRejection', onUnhandled);
+      fake.on(/^COMMIT/, new Error('connection reset'));
+      DBConnection.begin({}, function(err, txn) {
+        txn.commit();
+        setTimeout(function() {
+          process.removeListener('unhandledRejection', onUnhandled);
+          unhandled.should.eql([]);
+          txn.state.should.equal(DBTransaction.FAILED);
+          txn.commit().then(function() {
+            done(new Error('commit should have failed'));
+          }, function(err) {
+            err.should.be.an.instanceof(Errors.TransactionAbortedError);
+            done();
+          });
+        }, 10);
+      });
+    });
+
+    it('only counts hook failures unless a hook logger is set', function(done) {
+      var metrics = new Metrics.Memory();
+      Metrics.setBackend(metrics);
+      var logged = [];
+      var consoleError = console.error;
+      console.error = function() { logged.push('console'); };
+      DBConnection.begin({}, function(err, txn) {
+        txn.afterCommit(function() { throw new Error('boom'); });
+        txn.commit(function(err) {
+          console.error = consoleError;
+          should(err).equal(null);
+          logged.should.eql([]);
+          metrics.count('db.txn.hook.error', {hook: 'afterCommit'}).should.equal(1);
+          DBConnection.setHookLogger({error: function(message) { logged.push(message); }});
+          DBConnection.begin({}, function(err, txn) {
+            txn.afterRollback(function() { throw new Error('boom'); });
+            txn.rollback(function(err) {
+              DBConnection.setHookLogger(null);
+              Metrics.setBackend(null);
+              should(err).equal(null);
+              logged.should.eql(['DBTransaction: afterRollback hook failed:']);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('goes back to the pool when restored', function() {
+      fake.restore();
+      should(SharedConnection.current()).equal(null);
+    });
+  });
+
+  describe('begin and rollback', function() {
+    var fake = null;
+    beforeEach(function() {
+      fake = Testing.fake();
+    });
+
+    afterEach(function() {
+      fake.restore();
+    });
+
+    it('rolls back after the statements already sent by the code under test', function(done) {
+      Testing.begin({}, function(err) {
+        should(err).equal(null);
+        fake.on('UPDATE photos SET size = 1', function() {
+          // The test finishes while the statement is still running.
+          Testing.rollback(function(err) {
+            should(err).equal(null);
+            texts(fake).should.eql([
+              'BEGIN',
+              'SAVEPOINT "shared_sp_1"',
+              'UPDATE photos SET size = 1',
+              'RELEASE SAVEPOINT "shared_sp_1"',
+              'ROLLBACK',
+            ]);
+            fake.released.should.equal(1);
+            done();
+          });
+          return {};
+        });
+        DBConnection.get({}, function(err, conn) {
+          conn.query('UPDATE photos SET size = 1', function() {});
+        });
+      });
+    });
+  });
+
+  describe('shared connections', function() {
+    var client = null;
+    beforeEach(function() {
+      client = new Testing.FakeClient();
+      SharedConnection.use(new SharedConnection.SharedConnection(client));
+    });
+
+    afterEach(function() {
+      SharedConnection.use(null);
+    });
+
+    it('runs each statement outside a transaction in its own savepoint', function(done) {
+      DBConnection.get({}, function(err, conn) {
+        conn.query('SELECT 1', function(err) {
+          should(err).equal(null);
+          conn.release();
+          texts(client).should.eql([
+            'SAVEPOINT "shared_sp_1"',
+            'SELECT 1',
+            'RELEASE SAVEPOINT "shared_sp_1"',
+          ]);
+          done();
+        });
+      });
+    });
+
+    it('undoes only the failed statement', function(done) {
+      client.on('SELECT * FROM nonexistent_table', new Error('relation does not exist'));
+      DBConnection.get({}, function(err, conn) {
+        conn.query('SELECT * FROM nonexistent_table', function(err) {
+          err.message.should.equal('relation does not exist');
+          texts(client).should.eql([
+            'SAVEPOINT "shared_sp_1"',
+            'SELECT * FROM nonexistent_table',
+            'ROLLBACK TO SAVEPOINT "shared_sp_1"',
+            'RELEASE SAVEPOINT "shared_sp_1"',
+          ]);
+          done();
+        });
+      });
+    });
+
+    it('turns transactions into savepoints', function(done) {
+      DBConnection.begin({}, {isolationLevel: 'SERIALIZABLE'}, function(err, txn) {
+        txn.query('UPDATE photos SET size = 1', function(err) {
+          txn.commit(function(err) {
+            should(err).equal(null);
+            DBConnection.begin({}, function(err, txn) {
+              txn.rollback(function(err) {
+                should(err).equal(null);
+                texts(client).should.eql([
+                  'SAVEPOINT "shared_sp_1"',
+                  'UPDATE photos SET size = 1',
+                  'RELEASE SAVEPOINT "shared_sp_1"',
+                  'SAVEPOINT "shared_sp_2"',
+                  'ROLLBACK TO SAVEPOINT "shared_sp_2"',
+                  'RELEASE SAVEPOINT "shared_sp_2"',
+                ]);
+                done();
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('rolls back to the savepoint when a query in a transaction fails', function(done) {
+      client.on('SELECT * FROM nonexistent_table', new Error('relation does not exist'));
+      DBConnection.begin({}, function(err, txn) {
+        txn.query('SELECT * FROM nonexistent_table', function(err) {
+          err.message.should.equal('relation does not exist');
+          // The rollback happens in the background, when the connection is
+          // released.
+          setTimeout(function() {
+            texts(client).should.eql([
+              'SAVEPOINT "shared_sp_1"',
+              'SELECT * FROM nonexistent_table',
+              'ROLLBACK TO SAVEPOINT "shared_sp_1"',
+              'RELEASE SAVEPOINT "shared_sp_1"',
+            ]);
+            done();
+          }, 10);
+        });
+      });
+    });
+  });
+});
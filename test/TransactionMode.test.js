@@ -0,0 +1,64 @@
+// Copyright 2015 Shyp, Inc.
+var should = require('should');
+
+var TransactionMode = require('../TransactionMode.js');
+
+describe('TransactionMode', function() {
+  describe('parse', function() {
+    it('uses the server defaults when no options are given', function() {
+      TransactionMode.parse(undefined).should.eql({isolationLevel: null, readOnly: null, deferrable: null});
+    });
+
+    it('normalizes isolation levels', function() {
+      TransactionMode.parse({isolationLevel: 'serializable'}).isolationLevel.should.equal('SERIALIZABLE');
+      TransactionMode.parse({isolationLevel: 'repeatable_read'}).isolationLevel.should.equal('REPEATABLE READ');
+    });
+
+    it('rejects unknown isolation levels', function() {
+      (function() {
+        TransactionMode.parse({isolationLevel: 'SNAPSHOT'});
+      }).should.throw(/Invalid isolation level/);
+    });
+
+    it('rejects a non-boolean readOnly', function() {
+      (function() {
+        TransactionMode.parse({readOnly: 'yes'});
+      }).should.throw(/readOnly should be a boolean/);
+    });
+
+    it('allows DEFERRABLE for SERIALIZABLE READ ONLY transactions', function() {
+      var mode = TransactionMode.parse({isolationLevel: 'SERIALIZABLE', readOnly: true, deferrable: true});
+      mode.deferrable.should.equal(true);
+    });
+
+    it('rejects DEFERRABLE for other transactions', function() {
+      (function() {
+        TransactionMode.parse({isolationLevel: 'SERIALIZABLE', deferrable: true});
+      }).should.throw(/SERIALIZABLE and READ ONLY/);
+      (function() {
+        TransactionMode.parse({isolationLevel: 'REPEATABLE READ', readOnly: true, deferrable: true});
+      }).should.throw(/SERIALIZABLE and READ ONLY/);
+    });
+  });
+
+  describe('beginStatement', function() {
+    it('sends a plain BEGIN by default', function() {
+      TransactionMode.beginStatement(TransactionMode.parse({})).should.equal('BEGIN');
+    });
+
+    it('includes every option that was set', function() {
+      var mode = TransactionMode.parse({isolationLevel: 'SERIALIZABLE', readOnly: true, deferrable: true});
+      TransactionMode.beginStatement(mode).should.equal('BEGIN ISOLATION LEVEL SERIALIZABLE READ ONLY DEFERRABLE');
+      mode = TransactionMode.parse({isolationLevel: 'READ COMMITTED', readOnly: false});
+      TransactionMode.beginStatement(mode).should.equal('BEGIN ISOLATION LEVEL READ COMMITTED READ WRITE');
+    });
+  });
+
+  describe('tags', function() {
+    it('describes the mode', function() {
+      TransactionMode.tags(TransactionMode.parse({})).should.eql({isolation: 'default', access: 'default'});
+      var mode = TransactionMode.parse({isolationLevel: 'REPEATABLE READ', readOnly: true});
+      TransactionMode.tags(mode).should.eql({isolation: 'repeatable_read', access: 'read_only'});
+    });
+  });
+});
@@ -0,0 +1,250 @@
+// Copyright 2015 Shyp, Inc.
+var should = require('should');
+
+var DBConnection = require('../DBConnection.js');
+var DBTransaction = require('../DBTransaction.js');
+var Errors = require('../Errors.js');
+var Metrics = require('../Metrics.js');
+var SharedConnection = require('../SharedConnection.js');
+var Testing = require('../Testing.js');
+var TwoPhase = require('../TwoPhase.js');
+
+var texts = function(client) {
+  return client.queries.map(function(query) {
+    return query.text;
+  });
+};
+
+var beginBoth = function(cb) {
+  DBConnection.begin({database: 'orders'}, function(err, orders) {
+    DBConnection.begin({database: 'billing'}, function(err, billing) {
+      cb(orders, billing);
+    });
+  });
+};
+
+describe('TwoPhase', function() {
+  var fake = null;
+  var metrics = null;
+  beforeEach(function() {
+    fake = Testing.fake();
+    metrics = new Metrics.Memory();
+    Metrics.setBackend(metrics);
+  });
+
+  afterEach(function() {
+    fake.restore();
+    Metrics.setBackend(null);
+  });
+
+  it('prepares every transaction, then commits them', function(done) {
+    beginBoth(function(orders, billing) {
+      TwoPhase.commit([orders, billing], 'order-123', function(err) {
+        should(err).equal(null);
+        orders.state.should.equal(DBTransaction.PREPARED);
+        billing.gid.should.equal('order-123:1');
+        texts(fake).slice(2).should.eql([
+          "PREPARE TRANSACTION 'order-123:0'",
+          "PREPARE TRANSACTION 'order-123:1'",
+          "COMMIT PREPARED 'order-123:0'",
+          "COMMIT PREPARED 'order-123:1'",
+        ]);
+        metrics.count('db.txn.prepare.success').should.equal(2);
+        metrics.count('db.txn.commit_prepared.success').should.equal(2);
+        metrics.count('db.txn.two_phase.commit.success').should.equal(1);
+        done();
+      });
+    });
+  });
+
+  it('rolls back the prepared transactions if one fails to prepare', function(done) {
+    var failure = new Error('prepared transactions are disabled');
+    failure.code = '55000';
+    fake.on("PREPARE TRANSACTION 'order-123:1'", failure);
+    beginBoth(function(orders, billing) {
+      TwoPhase.commit([orders, billing], 'order-123', function(err) {
+        err.should.be.an.instanceof(Errors.DatabaseError);
+        err.code.should.equal('55000');
+        billing.state.should.equal(DBTransaction.FAILED);
+        texts(fake).slice(-1).should.eql(["ROLLBACK PREPARED 'order-123:0'"]);
+        metrics.count('db.txn.prepare.error').should.equal(1);
+        metrics.count('db.txn.rollback_prepared.success').should.equal(1);
+        metrics.count('db.txn.two_phase.rollback').should.equal(1);
+        done();
+      });
+    });
+  });
+
+  it('runs afterCommit hooks once the prepared transactions commit', function(done) {
+    var calls = [];
+    beginBoth(function(orders, billing) {
+      orders.afterCommit(function() { calls.push('orders committed'); });
+      orders.afterRollback(function() { calls.push('orders rolled back'); });
+      billing.afterCommit(function() { calls.push('billing committed'); });
+      TwoPhase.commit([orders, billing], 'order-123', function(err) {
+        should(err).equal(null);
+        calls.should.eql(['orders committed', 'billing committed']);
+        done();
+      });
+    });
+  });
+
+  it('runs afterRollback hooks for transactions it rolls back', function(done) {
+    fake.on("PREPARE TRANSACTION 'order-123:1'", new Error('prepared transactions are disabled'));
+    var calls = [];
+    beginBoth(function(orders, billing) {
+      orders.afterCommit(function() { calls.push('orders committed'); });
+      orders.afterRollback(function() { calls.push('orders rolled back'); });
+      billing.afterRollback(function() { calls.push('billing rolled back'); });
+      TwoPhase.commit([orders, billing], 'order-123', function(err) {
+        err.message.should.equal('prepared transactions are disabled');
+        calls.should.eql(['billing rolled back', 'orders rolled back']);
+        done();
+      });
+    });
+  });
+
+  it('does not run hooks for transactions left prepared', function(done) {
+    fake.on("COMMIT PREPARED 'order-123:0'", new Error('connection lost'));
+    var calls = [];
+    beginBoth(function(orders, billing) {
+      orders.afterCommit(function() { calls.push('orders committed'); });
+      orders.afterRollback(function() { calls.push('orders rolled back'); });
+      billing.afterCommit(function() { calls.push('billing committed'); });
+      TwoPhase.commit([orders, billing], 'order-123', function(err) {
+        err.should.be.an.instanceof(Errors.TwoPhaseCommitError);
+        calls.should.eql(['billing committed']);
+        done();
+      });
+    });
+  });
+
+  it('reports prepared transactions it could not commit', function(done) {
+    fake.on("COMMIT PREPARED 'order-123:0'", new Error('connection lost'));
+    beginBoth(function(orders, billing) {
+      TwoPhase.commit([orders, billing], 'order-123', function(err) {
+        err.should.be.an.instanceof(Errors.TwoPhaseCommitError);
+        err.phase.should.equal('commit');
+        err.cause.message.should.equal('connection lost');
+        err.unresolved.map(function(u) { return u.gid; }).should.eql(['order-123:0']);
+        err.unresolved[0].config.database.should.equal('orders');
+        metrics.count('db.txn.commit_prepared.error').should.equal(1);
+        done();
+      });
+    });
+  });
+
+  it('rejects invalid transaction ids before preparing', function(done) {
+    beginBoth(function(orders, billing) {
+      TwoPhase.commit([orders, billing], new Array(200).join('x'), function(err) {
+        err.message.should.match(/Invalid prepared transaction id/);
+        orders.state.should.equal(DBTransaction.ACTIVE);
+        orders.rollback(function() {
+          billing.rollback(done);
+        });
+      });
+    });
+  });
+
+  it('quotes transaction ids', function(done) {
+    DBConnection.rollbackPrepared({}, "it's", function(err) {
+      should(err).equal(null);
+      texts(fake).should.eql(["ROLLBACK PREPARED 'it''s'"]);
+      done();
+    });
+  });
+
+  it('cannot use a transaction after it has been prepared', function(done) {
+    DBConnection.begin({}, function(err, txn) {
+      txn.prepare('gid', function(err) {
+        should(err).equal(null);
+        txn.commit(function(err) {
+          err.should.be.an.instanceof(Errors.InvalidStateError);
+          err.message.should.match(/already been prepared/);
+          done();
+        });
+      });
+    });
+  });
+
+  it("doesn't prepare a nested ambient transaction", function(done) {
+    DBConnection.useAmbientTransactions(true);
+    DBConnection.transaction({}, function(outer) {
+      return DBConnection.begin({}).then(function(nested) {
+        return nested.prepare('g1').then(function() {
+          throw new Error('prepare should have failed');
+        }, function(err) {
+          err.should.be.an.instanceof(Errors.InvalidStateError);
+          return nested.commit();
+        });
+      });
+    }, function(err) {
+      DBConnection.useAmbientTransactions(false);
+      should(err).equal(null);
+      texts(fake).should.eql([
+        'BEGIN',
+        'SAVEPOINT "shared_sp_1"',
+        'RELEASE SAVEPOINT "shared_sp_1"',
+        'COMMIT',
+      ]);
+      done();
+    });
+  });
+
+  describe('on a shared connection', function() {
+    var client = null;
+    beforeEach(function() {
+      client = new Testing.FakeClient();
+      SharedConnection.use(new SharedConnection.SharedConnection(client));
+    });
+
+    afterEach(function() {
+      SharedConnection.use(null);
+    });
+
+    it("doesn't prepare the outer transaction", function(done) {
+      DBConnection.begin({}, function(err, txn) {
+        txn.prepare('leak_gid', function(err) {
+          err.should.be.an.instanceof(Errors.InvalidStateError);
+          txn.state.should.equal(DBTransaction.ACTIVE);
+          txn.rollback(function(err) {
+            should(err).equal(null);
+            texts(client).should.eql([
+              'SAVEPOINT "shared_sp_1"',
+              'ROLLBACK TO SAVEPOINT "shared_sp_1"',
+              'RELEASE SAVEPOINT "shared_sp_1"',
+            ]);
+            done();
+          });
+        });
+      });
+    });
+
+    it("doesn't commit prepared transactions", function(done) {
+      DBConnection.commitPrepared({}, 'order-123:0', function(err) {
+        err.should.be.an.instanceof(Errors.InvalidStateError);
+        metrics.count('db.txn.commit_prepared.error').should.equal(1);
+        client.queries.should.eql([]);
+        done();
+      });
+    });
+
+    it("doesn't roll back prepared transactions", function(done) {
+      DBConnection.rollbackPrepared({}, 'order-123:0', function(err) {
+        err.should.be.an.instanceof(Errors.InvalidStateError);
+        metrics.count('db.txn.rollback_prepared.error').should.equal(1);
+        client.queries.should.eql([]);
+        done();
+      });
+    });
+
+    it("doesn't list prepared transactions", function(done) {
+      DBConnection.listPrepared({}, function(err, prepared) {
+        err.should.be.an.instanceof(Errors.InvalidStateError);
+        should(prepared).not.be.ok();
+        client.queries.should.eql([]);
+        done();
+      });
+    });
+  });
+});